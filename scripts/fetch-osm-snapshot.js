@@ -0,0 +1,36 @@
+/**
+ * Bundled Road Snapshot
+ * Saves the raw Overpass response for a preset region to
+ * src/data/<region id>-osm.json, the "OSM Bundled" fallback ./src/roadNetwork
+ * loads when neither Overpass nor the IndexedDB cache can serve roads.
+ *
+ *   npm run snapshot [-- <region id>]   (defaults to the default region)
+ *
+ * Needs network access to Overpass; rebuild afterwards to ship the file.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { fetchOverpass } from '../src/overpass.js';
+import { REGION_PRESETS, DEFAULT_REGION_ID } from '../src/regions.js';
+
+const DATA_DIR = new URL('../src/data/', import.meta.url);
+
+async function main(regionId = DEFAULT_REGION_ID) {
+    const region = REGION_PRESETS[regionId];
+    if (!region) throw new RangeError(`Unknown region "${regionId}" (presets: ${Object.keys(REGION_PRESETS).join(', ')})`);
+
+    const data = await fetchOverpass(region.bounds);
+    // An empty box would ship a snapshot the app rejects anyway
+    const roads = data.elements?.filter(el => el.type === 'way' && el.tags?.highway).length ?? 0;
+    if (roads === 0) throw new Error(`Overpass returned no roads for ${region.name}`);
+
+    await mkdir(DATA_DIR, { recursive: true });
+    const file = new URL(`${region.id}-osm.json`, DATA_DIR);
+    await writeFile(file, JSON.stringify(data));
+    console.log(`${region.name}: ${roads} roads, OSM data as of ${data.osm3s?.timestamp_osm_base ?? 'unknown'} → ${file.pathname}`);
+}
+
+main(process.argv[2]).catch(err => {
+    console.error(`[snapshot] ${err.message}`);
+    process.exitCode = 1;
+});
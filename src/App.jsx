@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, Suspense, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, Suspense, useCallback, useMemo } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls, Environment, Stars, Float, Html, Line } from '@react-three/drei';
 import { EffectComposer, Bloom, Vignette, ChromaticAberration } from '@react-three/postprocessing';
@@ -7,26 +7,50 @@ import gsap from 'gsap';
 import {
   Navigation, RotateCcw, BookOpen, GraduationCap, MousePointerClick,
   Swords, Clock, Zap, Cpu, X, Wifi, WifiOff, MapPin, Route,
-  ChevronRight, Activity, BarChart2, Info
+  ChevronRight, Activity, BarChart2, Info, Scale, Target, GitBranch, ArrowLeftRight, Move,
+  Waypoints, Trash2, Play, Pause, SkipBack, SkipForward, Gauge, ListOrdered, Database, HardDrive, Globe,
+  Grid3x3, Network, Download, Upload, Link, FileJson, Paintbrush, Slash, Square, Eraser, Undo2, Redo2, Plus,
+  Dices, Shuffle, FlaskConical, Car, Motorbike, Bike, Footprints, PersonStanding, Layers, Columns2,
 } from 'lucide-react';
-import { bfs, getNodesInShortestPathOrder } from './algorithms/bfs';
-import { astar } from './algorithms/astar';
-import { fetchRoadNetwork, getWeightForCoord, gridToLatLng } from './roadNetwork';
+import {
+  ALGORITHMS, ALGORITHM_IDS, HEURISTICS, DEFAULT_HEURISTIC, DEFAULT_GRAPH_HEURISTIC, MOVEMENT_MODES, DIAGONAL_RULES,
+  getPathCost, getStepLength, isSuboptimal, EXACT_LIMIT, DStarLite, solveLeg, bidirectionalHeuristic,
+} from './algorithms';
+import { fetchRoadNetwork, roadTypeAtCoord } from './roadNetwork';
+import { buildRoadGraph } from './roadGraph';
+import {
+  REGION_PRESETS, DEFAULT_REGION_ID, CUSTOM_SPAN_KM, createCustomRegion, gridToLatLng, latLngToGrid, kmPerNode,
+  regionLandmarks,
+} from './regions';
+import { rasterizeTerrain, roadClass } from './rasterize';
+import {
+  buildTimeline, applyFrameFlags, MAX_LANES, VISIT_MASK, PATH_MASK, countFrames, laneFrames, lastExpansion, inspectCell,
+} from './playback';
+import { createScenario, parseScenario, encodeScenarioHash, decodeScenarioHash } from './scenario';
+import { GENERATORS, DENSITY_RANGE, generateLayout, seedFrom } from './generators';
+import { BENCHMARK_RUNS, summarize, histogram, toCSV } from './benchmark';
+import {
+  TRAFFIC, DEPARTURE_STEP, DEFAULT_DEPARTURE, HOURS_PER_DAY, congestion, roadCongestion, terrainCongestion, formatHour,
+} from './traffic';
+import { TRAVEL_PROFILES, PROFILE_IDS, DEFAULT_PROFILE, travelWeights, travelSpeed } from './travelProfiles';
+import { packGrid, packGraph, routeFromParents, startSearch } from './search';
+import {
+  DEFAULT_WEIGHTS, WEIGHT_RANGE, ROAD_WEIGHT_LABELS, cellWeight, cellRoad, reweightGrid,
+} from './terrainWeights';
+import {
+  PAINT_TOOLS, EMPTY_HISTORY, MAX_CUSTOM_TERRAINS, CUSTOM_WEIGHT_RANGE, customTerrainKey,
+  lineCells, strokeCells, paintCells, pushHistory, undo, redo,
+} from './terrainEditor';
 import './index.css';
 
 // ─── Config ──────────────────────────────────────────────────────────────────
 const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || '';
-const CENTER_COORDS = { lat: 15.4618, lng: 74.9948 };
 const GRID_SIZE = 22;
 const NODE_SIZE = 1.0;
 const NODE_GAP = 0.08;
 const STEP = NODE_SIZE + NODE_GAP;
 const OFFSET = (GRID_SIZE * STEP) / 2;
 
-// Real-world coordinates for the two colleges
-const GFGC_COORDS = { lat: 15.4707, lng: 74.9916, name: 'GFGC College', area: 'Kumareshwarnagar, Dharwad' };
-const KCD_COORDS = { lat: 15.4530, lng: 74.9980, name: 'KCD Arts College', area: 'Kuvempu Nagar, Dharwad' };
-
 // Haversine distance in km
 function haversineKm(lat1, lng1, lat2, lng2) {
   const R = 6371;
@@ -36,38 +60,219 @@ function haversineKm(lat1, lng1, lat2, lng2) {
   return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 }
 
-const STRAIGHT_LINE_KM = haversineKm(GFGC_COORDS.lat, GFGC_COORDS.lng, KCD_COORDS.lat, KCD_COORDS.lng);
-// Grid scale: GRID_SIZE nodes ≈ real bounding box
-const BOUNDS = { north: 15.4750, south: 15.4480, east: 75.0050, west: 74.9850 };
-const LAT_SPAN = BOUNDS.north - BOUNDS.south;
-const LNG_SPAN = BOUNDS.east - BOUNDS.west;
-const KM_PER_NODE_LAT = (LAT_SPAN / GRID_SIZE) * 111.32;
-const KM_PER_NODE_LNG = (LNG_SPAN / GRID_SIZE) * 111.32 * Math.cos(CENTER_COORDS.lat * Math.PI / 180);
-const KM_PER_NODE = (KM_PER_NODE_LAT + KM_PER_NODE_LNG) / 2;
+// The original GFGC → KCD lesson route, quoted in the Learning Center credits
+const { start: GFGC, end: KCD } = REGION_PRESETS.dharwad;
+const STRAIGHT_LINE_KM = haversineKm(GFGC.lat, GFGC.lng, KCD.lat, KCD.lng);
+
+// Default marker cells; both markers can be dragged to any non-wall cell
+const DEFAULT_START = { row: 2, col: 2 };
+const DEFAULT_END = { row: GRID_SIZE - 3, col: GRID_SIZE - 3 };
+const samePos = (a, b) => a.row === b.row && a.col === b.col;
+
+// Grid index → world-space x/z of that cell's centre
+const cellCenter = i => i * STEP - OFFSET + NODE_SIZE / 2;
+const cellSpot = n => ({ x: cellCenter(n.col), z: cellCenter(n.row) });
+
+// Real-world lat/lng → world-space x/z, on the same scale as the grid
+const geoSpot = ({ lat, lng }, bounds) => {
+  const { row, col } = latLngToGrid(lat, lng, GRID_SIZE, bounds);
+  return { x: col * STEP - OFFSET, z: row * STEP - OFFSET };
+};
+
+// A marker on its home cell shows the landmark's surveyed coordinates;
+// anywhere else the cell is converted back to lat/lng inside the region.
+const markerCoords = (pos, home, landmark, bounds) =>
+  samePos(pos, home) ? landmark : gridToLatLng(pos.row, pos.col, GRID_SIZE, bounds);
+const formatCoords = ({ lat, lng }) =>
+  `${Math.abs(lat).toFixed(4)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(lng).toFixed(4)}°${lng >= 0 ? 'E' : 'W'}`;
+
+// Selector icon per algorithm (see ALGORITHMS in ./algorithms)
+const ALGO_ICONS = {
+  'A*': Zap,
+  'Dijkstra': Scale,
+  'Greedy': Target,
+  'BFS': Cpu,
+  'DFS': GitBranch,
+  'Bi-BFS': ArrowLeftRight,
+  'Bi-A*': ArrowLeftRight,
+};
+
+const NO_FRAMES = [];
+
+// Per-lane counters and routes (see countFrames); routes fill in once playback completes
+const EMPTY_STATS = { visited: [], path: [], time: 0, routes: [], optimalCost: null };
+
+// A race pits 2 to MAX_LANES racers against each other, each an algorithm
+// with its own heuristic — so A* can race itself under two heuristics
+const MIN_RACERS = 2;
+const DEFAULT_RACERS = [{ alg: 'A*', heuristic: DEFAULT_HEURISTIC }, { alg: 'BFS', heuristic: DEFAULT_HEURISTIC }];
+const racerLabel = ({ alg, heuristic }) => (
+  ALGORITHMS[alg].usesHeuristic ? `${alg} · ${HEURISTICS[heuristic].label}` : alg
+);
 
 // ─── Terrain Definitions ─────────────────────────────────────────────────────
-const TERRAIN = {
-  HIGHWAY: { weight: 1, h: 0.10, color: '#52525b', emissive: '#27272a', label: 'Highway', isWall: false, roadColor: '#3f3f46' },
-  ROAD: { weight: 1, h: 0.10, color: '#4b5563', emissive: '#374151', label: 'Road', isWall: false, roadColor: '#374151' },
-  ALLEY: { weight: 2.5, h: 0.08, color: '#27272a', emissive: '#18181b', label: 'Alley', isWall: false, roadColor: '#1c1917' },
-  PARK: { weight: 3, h: 0.30, color: '#166534', emissive: '#14532d', label: 'Park', isWall: false, roadColor: '#15803d' },
-  BUILDING: { weight: Infinity, h: 3.5, color: '#1e3a5f', emissive: '#0c1a2e', label: 'Building', isWall: true, roadColor: null },
-  TOWER: { weight: Infinity, h: 6.5, color: '#0f2744', emissive: '#060f1a', label: 'Tower', isWall: true, roadColor: null },
+// Costs live in the editable weights table (see ./terrainWeights), travel
+// speeds in the travel profiles (see ./travelProfiles).
+const TERRAIN = Object.fromEntries(Object.entries({
+  HIGHWAY: { h: 0.10, color: '#52525b', emissive: '#27272a', label: 'Highway', isWall: false, roadColor: '#3f3f46' },
+  ROAD: { h: 0.10, color: '#4b5563', emissive: '#374151', label: 'Road', isWall: false, roadColor: '#374151' },
+  ALLEY: { h: 0.08, color: '#27272a', emissive: '#18181b', label: 'Alley', isWall: false, roadColor: '#1c1917' },
+  PARK: { h: 0.30, color: '#166534', emissive: '#14532d', label: 'Park', isWall: false, roadColor: '#15803d' },
+  BUILDING: { h: 3.5, color: '#1e3a5f', emissive: '#0c1a2e', label: 'Building', isWall: true, roadColor: null },
+  TOWER: { h: 6.5, color: '#0f2744', emissive: '#060f1a', label: 'Tower', isWall: true, roadColor: null },
+  WATER: { h: 0.05, color: '#0e7490', emissive: '#083344', label: 'Water', isWall: true, roadColor: null },
+}).map(([key, terrain]) => [key, { key, ...terrain }]));
+
+// Passable terrain type defined in the editor; carries its own weight and
+// travels slower the costlier it is (see travelSpeed)
+const makeCustomTerrain = ({ key, label, weight, color }) => ({
+  key, label, weight, color,
+  h: 0.10, emissive: color, isWall: false, roadColor: color,
+});
+
+// ─── Route Analysis ──────────────────────────────────────────────────────────
+// Evaluates any path with the same terrain weights, whichever algorithm found
+// it, so BFS and A* routes compare like for like. Each step is charged to the
+// terrain of the cell it enters, at the traveller's speed there in `hour`'s
+// traffic — the congestion of the road the search priced the cell by under
+// `weights`, or of its terrain off-road.
+const analyzeRoute = (path, kmPerCell, hour, profile, weights) => {
+  if (path.length < 2 || !path[path.length - 1].isEnd) return null;
+  const breakdown = {};
+  let km = 0;
+  let minutes = 0;
+  for (let i = 1; i < path.length; i++) {
+    const node = path[i];
+    const stepKm = getStepLength(path[i - 1], node) * kmPerCell;
+    const { label, roadColor } = node.terrain;
+    const entry = breakdown[label] ?? (breakdown[label] = { cells: 0, km: 0, color: roadColor });
+    entry.cells += 1;
+    entry.km += stepKm;
+    km += stepKm;
+    const road = cellRoad(node, weights);
+    const slowdown = road
+      ? roadCongestion(road, hour, profile.traffic)
+      : terrainCongestion(node.terrain.key, hour, profile.traffic);
+    minutes += (stepKm / travelSpeed(profile, node.terrain)) * slowdown * 60;
+  }
+  return { cost: getPathCost(path), km, minutes, breakdown };
+};
+
+// Graph-mode twin of analyzeRoute: each edge is charged to the terrain class
+// of its OSM road, with its real length in metres.
+const analyzeGraphRoute = (path, graph, hour, profile) => {
+  if (path.length < 2) return null;
+  const breakdown = {};
+  let km = 0;
+  let minutes = 0;
+  for (let i = 1; i < path.length; i++) {
+    const { metres, road } = graph.edge(path[i - 1], path[i]);
+    const terrain = TERRAIN[roadClass(road.highway)];
+    const { label, roadColor } = terrain;
+    const entry = breakdown[label] ?? (breakdown[label] = { cells: 0, km: 0, color: roadColor });
+    entry.cells += 1;
+    entry.km += metres / 1000;
+    km += metres / 1000;
+    const slowdown = roadCongestion(road.highway, hour, profile.traffic);
+    minutes += (metres / 1000 / travelSpeed(profile, terrain)) * slowdown * 60;
+  }
+  return { cost: getPathCost(path, graph), km, minutes, breakdown };
 };
 
 // ─── Asphalt Ground + Lane Markings ──────────────────────────────────────────
-const AsphaltGround = () => {
-  const size = GRID_SIZE * STEP + 6;
+const GROUND_SIZE = GRID_SIZE * STEP + 6;
+
+const AsphaltGround = ({ roadNetwork }) => (
+  <group>
+    {/* Base asphalt — dark charcoal */}
+    <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.03, 0]} receiveShadow>
+      <planeGeometry args={[GROUND_SIZE, GROUND_SIZE]} />
+      <meshStandardMaterial color="#18181b" roughness={0.98} metalness={0.02} />
+    </mesh>
+    {roadNetwork ? <OsmRoadLanes roadNetwork={roadNetwork} /> : <ProceduralLanes />}
+  </group>
+);
+
+// Lanes drawn along the real OSM road centre lines. Wider, lighter strips
+// for bigger roads; major roads also get a yellow centre line.
+const LANE_STYLE = {
+  HIGHWAY: { width: STEP * 1.1, color: '#3f3f46', y: -0.006 },
+  ROAD: { width: STEP * 0.8, color: '#27272a', y: -0.008 },
+  ALLEY: { width: STEP * 0.45, color: '#232326', y: -0.010 },
+  PARK: { width: STEP * 0.25, color: '#1f2a22', y: -0.012 },
+};
+
+const OsmRoadLanes = ({ roadNetwork }) => {
+  const geometries = useMemo(() => {
+    const toWorld = p => geoSpot(p, roadNetwork.bounds);
+    const half = GROUND_SIZE / 2;
+    const outside = (a, b) => (a.x < -half && b.x < -half) || (a.x > half && b.x > half)
+      || (a.z < -half && b.z < -half) || (a.z > half && b.z > half);
+
+    const quads = Object.fromEntries(Object.keys(LANE_STYLE).map(k => [k, []]));
+    const centre = [];
+    for (const road of roadNetwork.roads) {
+      const cls = roadClass(road.highway);
+      const { width, y } = LANE_STYLE[cls];
+      const pts = road.coords.map(toWorld);
+      for (let i = 0; i < pts.length - 1; i++) {
+        const a = pts[i];
+        const b = pts[i + 1];
+        const len = Math.hypot(b.x - a.x, b.z - a.z);
+        if (len === 0 || outside(a, b)) continue;
+        // Offset each end sideways by half the lane width
+        const nx = (-(b.z - a.z) / len) * (width / 2);
+        const nz = ((b.x - a.x) / len) * (width / 2);
+        quads[cls].push(
+          a.x + nx, y, a.z + nz, b.x + nx, y, b.z + nz, b.x - nx, y, b.z - nz,
+          a.x + nx, y, a.z + nz, b.x - nx, y, b.z - nz, a.x - nx, y, a.z - nz,
+        );
+        if (cls === 'HIGHWAY' || cls === 'ROAD') centre.push(a.x, 0.002, a.z, b.x, 0.002, b.z);
+      }
+    }
+
+    const build = positions => {
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      return geo;
+    };
+    const lanes = Object.entries(quads).map(([cls, positions]) => {
+      const geo = build(positions);
+      geo.setAttribute('normal', new THREE.Float32BufferAttribute(
+        Array.from({ length: positions.length / 3 }, () => [0, 1, 0]).flat(), 3,
+      ));
+      return { cls, geo };
+    });
+    return { lanes, centre: build(centre) };
+  }, [roadNetwork]);
+
+  useEffect(() => () => {
+    geometries.lanes.forEach(({ geo }) => geo.dispose());
+    geometries.centre.dispose();
+  }, [geometries]);
+
+  return (
+    <>
+      {geometries.lanes.map(({ cls, geo }) => (
+        <mesh key={cls} geometry={geo} receiveShadow>
+          <meshStandardMaterial color={LANE_STYLE[cls].color} roughness={0.95} side={THREE.DoubleSide} />
+        </mesh>
+      ))}
+      <lineSegments geometry={geometries.centre}>
+        <lineBasicMaterial color="#ca8a04" transparent opacity={0.55} />
+      </lineSegments>
+    </>
+  );
+};
+
+// Fixed lanes matching the procedural city pattern in createInitialGrid
+const ProceduralLanes = () => {
+  const size = GROUND_SIZE;
   const roadRows = [5, 10, 16];
   const roadCols = [5, 10, 16];
 
   return (
     <group>
-      {/* Base asphalt — dark charcoal */}
-      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.03, 0]} receiveShadow>
-        <planeGeometry args={[size, size]} />
-        <meshStandardMaterial color="#18181b" roughness={0.98} metalness={0.02} />
-      </mesh>
 
       {/* Main road lanes — horizontal (lighter asphalt strips) */}
       {roadRows.map(row => {
@@ -140,12 +345,12 @@ const AsphaltGround = () => {
 };
 
 // ─── Satellite Overlay ────────────────────────────────────────────────────────
-const SatelliteOverlay = () => {
+const SatelliteOverlay = ({ center, zoom }) => {
   const [texture, setTexture] = useState(null);
   useEffect(() => {
-    const url = `https://maps.googleapis.com/maps/api/staticmap?center=${CENTER_COORDS.lat},${CENTER_COORDS.lng}&zoom=16&size=1024x1024&maptype=satellite&style=feature:all|element:labels|visibility:off&key=${GOOGLE_MAPS_API_KEY}`;
+    const url = `https://maps.googleapis.com/maps/api/staticmap?center=${center.lat},${center.lng}&zoom=${zoom}&size=1024x1024&maptype=satellite&style=feature:all|element:labels|visibility:off&key=${GOOGLE_MAPS_API_KEY}`;
     new THREE.TextureLoader().load(url, tex => setTexture(tex));
-  }, []);
+  }, [center, zoom]);
   if (!texture) return null;
   return (
     <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.02, 0]}>
@@ -155,152 +360,299 @@ const SatelliteOverlay = () => {
   );
 };
 
-// ─── Per-Node Road Surface ────────────────────────────────────────────────────
-const RoadSurface = ({ node }) => {
-  const { terrain } = node;
-  if (terrain.isWall) return null;
-  const posX = node.col * STEP - OFFSET + NODE_SIZE / 2;
-  const posZ = node.row * STEP - OFFSET + NODE_SIZE / 2;
-  return (
-    <mesh rotation={[-Math.PI / 2, 0, 0]} position={[posX, 0.005, posZ]} receiveShadow>
-      <planeGeometry args={[NODE_SIZE - 0.04, NODE_SIZE - 0.04]} />
-      <meshStandardMaterial color={terrain.roadColor} roughness={0.92} metalness={0.0} />
-    </mesh>
-  );
+// ─── Instanced Grid Cells ─────────────────────────────────────────────────────
+// The grid is drawn by four InstancedMeshes instead of a mesh per cell: road
+// surfaces, buildings, lit windows and "activity" blocks (Start, End and the
+// cells a search visited or routed through). Instance i is cell
+// row * size + col. A grid edit rewrites only the instances whose node
+// changed, and playback only the cells its new frames touched (see
+// applyFrameFlags) — nothing re-renders in React as the search plays.
+
+// ── Sophisticated muted jewel-tone palette ──
+// Visited: low-saturation tones that read clearly without blinding bloom
+// Path:    one rich, not neon, tone per lane of the run
+// Emissive colours are stored pre-multiplied by their intensity.
+const cellLook = (color, emissive, intensity) => ({
+  color: new THREE.Color(color),
+  emissive: new THREE.Color(emissive).multiplyScalar(intensity),
+});
+const CELL_LOOKS = {
+  start: cellLook('#0d9488', '#0f766e', 1.2), // deep teal
+  end: cellLook('#be123c', '#9f1239', 1.2), // deep rose
+};
+const BUILDING_EMISSIVE = 0.2;
+
+// One palette per lane: `color` for its labels and graph edges, `line` for
+// its route, `mark` for the playback log. A race hands them out in order;
+// a single run takes the warm one when weighted, the cool one when not.
+const LANE_PALETTES = [
+  {
+    color: '#fbbf24', line: '#b45309', mark: '●',
+    path: cellLook('#92400e', '#78350f', 0.9), // dark amber/bronze
+    visit: cellLook('#44403c', '#292524', 0.5), // warm stone
+  },
+  {
+    color: '#60a5fa', line: '#1d4ed8', mark: '○',
+    path: cellLook('#1e3a5f', '#172554', 0.9), // deep navy steel
+    visit: cellLook('#1e293b', '#0f172a', 0.5), // cool slate
+  },
+  {
+    color: '#34d399', line: '#047857', mark: '◆',
+    path: cellLook('#065f46', '#064e3b', 0.9), // deep jade
+    visit: cellLook('#1c3b34', '#0f2922', 0.5), // moss
+  },
+  {
+    color: '#f472b6', line: '#be185d', mark: '◇',
+    path: cellLook('#831843', '#701a3e', 0.9), // garnet
+    visit: cellLook('#3b2030', '#2a1522', 0.5), // dusk plum
+  },
+];
+const singlePalette = alg => LANE_PALETTES[ALGORITHMS[alg].weighted ? 0 : 1];
+const lookHex = look => `#${look.color.getHexString()}`;
+
+// A cell several lanes reached blends their looks, so it still reads as
+// theirs. Blends are cached per palette list and lane bits.
+const blendedLooks = new WeakMap();
+const blendLook = (palettes, kind, lanes) => {
+  let cache = blendedLooks.get(palettes);
+  if (!cache) blendedLooks.set(palettes, cache = new Map());
+  const key = `${kind}${lanes}`;
+  if (!cache.has(key)) {
+    const looks = palettes.filter((_, lane) => lanes & (1 << lane)).map(p => p[kind]);
+    const mix = part => looks.reduce((sum, look) => sum.add(look[part]), new THREE.Color(0, 0, 0))
+      .multiplyScalar(1 / looks.length);
+    cache.set(key, { color: mix('color'), emissive: mix('emissive') });
+  }
+  return cache.get(key);
 };
 
-// ─── 3D Node ──────────────────────────────────────────────────────────────────
-const Node3D = ({ node, onToggleWall }) => {
-  const meshRef = useRef();
-  const { isWall, isStart, isEnd, isVisited, isPath, bfsVisited, bfsPath, terrain } = node;
+// Look of a non-wall cell with playback `flags`, or null when it shows no
+// block; `palettes` are the run's, by lane
+const activityLook = (node, flags, palettes) => {
+  if (node.isStart) return CELL_LOOKS.start;
+  if (node.isEnd) return CELL_LOOKS.end;
+  const path = (flags & PATH_MASK) >> MAX_LANES;
+  const kind = path ? 'path' : 'visit';
+  const lanes = path || (flags & VISIT_MASK);
+  if (!lanes) return null;
+  // One bit set: a single lane's cell
+  return lanes & (lanes - 1) ? blendLook(palettes, kind, lanes) : palettes[31 - Math.clz32(lanes)][kind];
+};
 
-  useEffect(() => {
-    if (!meshRef.current) return;
-    if ((isVisited || bfsVisited) && !isPath && !bfsPath && !isStart && !isEnd) {
-      gsap.fromTo(meshRef.current.position, { y: -6 }, { y: terrain.h / 2, duration: 0.65, ease: 'power3.out' });
+// Visited blocks rise out of the ground; path blocks stretch up and back once
+const RISE = { seconds: 0.65, from: -6 };
+const PULSE = { seconds: 0.7, stretch: 2.8 };
+const easeOutCubic = t => 1 - (1 - t) ** 3;
+const easeOutBack = t => 1 + 3 * (t - 1) ** 3 + 2 * (t - 1) ** 2;
+
+const WINDOW_FLOOR = 1.2;
+const MAX_FLOORS = Math.floor(Math.max(...Object.values(TERRAIN).map(t => t.h)) / WINDOW_FLOOR);
+
+// meshStandardMaterial hook: emissive colour per instance from `instanceEmissive`
+const instanceEmissive = shader => {
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', '#include <common>\nattribute vec3 instanceEmissive;\nvarying vec3 vInstanceEmissive;')
+    .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceEmissive = instanceEmissive;');
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', '#include <common>\nvarying vec3 vInstanceEmissive;')
+    .replace('#include <emissivemap_fragment>', '#include <emissivemap_fragment>\ntotalEmissiveRadiance = vInstanceEmissive;');
+};
+
+const scratchMatrix = new THREE.Matrix4();
+const scratchColor = new THREE.Color();
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0);
+
+const placeInstance = (mesh, i, x, y, z, height = 1) => {
+  mesh.setMatrixAt(i, scratchMatrix.makeScale(NODE_SIZE, height, NODE_SIZE).setPosition(x, y, z));
+};
+
+const GridCells = ({ grid, frames, frame, palettes, onCellClick, onCellHover }) => {
+  const size = grid.length;
+  const count = size * size;
+  const roadsRef = useRef();
+  const buildingsRef = useRef();
+  const windowsRef = useRef();
+  const activityRef = useRef();
+
+  const geometries = useMemo(() => {
+    const road = new THREE.PlaneGeometry(NODE_SIZE - 0.04, NODE_SIZE - 0.04).rotateX(-Math.PI / 2);
+    const building = new THREE.BoxGeometry(1, 1, 1);
+    const activity = new THREE.BoxGeometry(1, 1, 1);
+    building.setAttribute('instanceEmissive', new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3));
+    activity.setAttribute('instanceEmissive', new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3));
+    return { road, building, activity, window: new THREE.PlaneGeometry(0.22, 0.3) };
+  }, [count]);
+  useEffect(() => () => Object.values(geometries).forEach(geo => geo.dispose()), [geometries]);
+
+  // What the meshes show now: the grid, playback flags up to `frame` in
+  // `palettes`, and the activity blocks still animating ({ kind, t0 } by cell index)
+  const shown = useRef(null);
+  if (shown.current === null) {
+    shown.current = { grid: null, frames: null, frame: 0, palettes, flags: new Uint8Array(count), animations: new Map() };
+  }
+
+  useLayoutEffect(() => {
+    const state = shown.current;
+    const roads = roadsRef.current;
+    const buildings = buildingsRef.current;
+    const activity = activityRef.current;
+    const changed = new Set();
+
+    const gridChanged = state.grid !== grid;
+    if (gridChanged) {
+      grid.forEach((row, r) => row.forEach((node, c) => {
+        if (state.grid?.[r][c] !== node) changed.add(r * size + c);
+      }));
+      state.grid = grid;
+    }
+
+    // Playing forward only ORs in the new frames; anything else replays from 0
+    const forward = state.frames === frames && frame >= state.frame;
+    const animated = new Set();
+    if (forward) {
+      for (const i of applyFrameFlags(state.flags, frames, state.frame, frame, size)) {
+        changed.add(i);
+        animated.add(i);
+      }
+    } else {
+      const flags = new Uint8Array(count);
+      applyFrameFlags(flags, frames, 0, frame, size);
+      flags.forEach((bits, i) => { if (bits !== state.flags[i]) changed.add(i); });
+      state.flags = flags;
+    }
+    state.frames = frames;
+    state.frame = frame;
+    if (state.palettes !== palettes) {
+      state.flags.forEach((bits, i) => { if (bits) changed.add(i); });
+      state.palettes = palettes;
+    }
+    if (changed.size === 0) return;
+
+    for (const i of changed) {
+      const node = grid[Math.floor(i / size)][i % size];
+      const { terrain } = node;
+      const x = cellCenter(node.col);
+      const z = cellCenter(node.row);
+
+      if (terrain.isWall) {
+        roads.setMatrixAt(i, HIDDEN);
+        placeInstance(buildings, i, x, terrain.h / 2, z, terrain.h);
+        buildings.setColorAt(i, scratchColor.set(terrain.color));
+        scratchColor.set(terrain.emissive).multiplyScalar(BUILDING_EMISSIVE).toArray(geometries.building.attributes.instanceEmissive.array, i * 3);
+      } else {
+        roads.setMatrixAt(i, scratchMatrix.makeTranslation(x, 0.005, z));
+        roads.setColorAt(i, scratchColor.set(terrain.roadColor));
+        buildings.setMatrixAt(i, HIDDEN);
+      }
+
+      const look = terrain.isWall ? null : activityLook(node, state.flags[i], palettes);
+      state.animations.delete(i);
+      if (look) {
+        placeInstance(activity, i, x, terrain.h / 2, z, terrain.h);
+        activity.setColorAt(i, look.color);
+        look.emissive.toArray(geometries.activity.attributes.instanceEmissive.array, i * 3);
+        if (animated.has(i)) {
+          if (state.flags[i] & PATH_MASK) state.animations.set(i, { kind: 'pulse', t0: null });
+          else if (!node.isStart && !node.isEnd) state.animations.set(i, { kind: 'rise', t0: null });
+        }
+      } else {
+        activity.setMatrixAt(i, HIDDEN);
+      }
     }
-    if (isPath || bfsPath) {
-      gsap.to(meshRef.current.scale, { y: 2.8, duration: 0.35, ease: 'back.out(2)', yoyo: true, repeat: 1 });
+
+    if (gridChanged) {
+      const windows = windowsRef.current;
+      let lit = 0;
+      grid.forEach(row => row.forEach(node => {
+        if (!node.isWall) return;
+        const floors = Math.floor(node.terrain.h / WINDOW_FLOOR);
+        for (let f = 0; f < floors; f++) {
+          if ((node.row * 7 + node.col * 3 + f * 11) % 5 === 0) continue;
+          windows.setMatrixAt(lit++, scratchMatrix.makeTranslation(
+            cellCenter(node.col) + NODE_SIZE / 2 + 0.01, 0.7 + f * WINDOW_FLOOR, cellCenter(node.row),
+          ));
+        }
+      }));
+      windows.count = lit;
+      windows.instanceMatrix.needsUpdate = true;
     }
-  }, [isVisited, isPath, bfsVisited, bfsPath]);
-
-  // ── Sophisticated muted jewel-tone palette ──
-  // Visited: low-saturation tones that read clearly without blinding bloom
-  // Path:    warm gold (A*) and cool steel (BFS) — rich but not neon
-  const COLOR = {
-    start: '#0d9488', // deep teal
-    end: '#be123c', // deep rose
-    astarPath: '#92400e', // dark amber/bronze
-    bfsPath: '#1e3a5f', // deep navy steel
-    overlap: '#4c1d95', // deep violet
-    astarVisit: '#44403c', // warm stone
-    bfsVisit: '#1e293b', // cool slate
-  };
-  const EMISSIVE = {
-    start: '#0f766e',
-    end: '#9f1239',
-    astarPath: '#78350f',
-    bfsPath: '#172554',
-    overlap: '#3b0764',
-    astarVisit: '#292524',
-    bfsVisit: '#0f172a',
-  };
-
-  const getColor = () => {
-    if (isStart) return COLOR.start;
-    if (isEnd) return COLOR.end;
-    if (isPath && bfsPath) return COLOR.overlap;
-    if (isPath) return COLOR.astarPath;
-    if (bfsPath) return COLOR.bfsPath;
-    if (isVisited && bfsVisited) return COLOR.overlap;
-    if (isVisited) return COLOR.astarVisit;
-    if (bfsVisited) return COLOR.bfsVisit;
-    return terrain.color;
-  };
-
-  const getEmissive = () => {
-    if (isStart) return EMISSIVE.start;
-    if (isEnd) return EMISSIVE.end;
-    if (isPath && bfsPath) return EMISSIVE.overlap;
-    if (isPath) return EMISSIVE.astarPath;
-    if (bfsPath) return EMISSIVE.bfsPath;
-    if (isVisited && bfsVisited) return EMISSIVE.overlap;
-    if (isVisited) return EMISSIVE.astarVisit;
-    if (bfsVisited) return EMISSIVE.bfsVisit;
-    return terrain.emissive;
-  };
-
-  const getEmissiveIntensity = () => {
-    if (isStart || isEnd) return 1.2;
-    if (isPath || bfsPath) return 0.9;
-    if (isVisited || bfsVisited) return 0.5;
-    return 0.2;
-  };
-
-  const height = terrain.h;
-  const posX = node.col * STEP - OFFSET + NODE_SIZE / 2;
-  const posZ = node.row * STEP - OFFSET + NODE_SIZE / 2;
-  const isActive = isVisited || isPath || isStart || isEnd || bfsVisited || bfsPath;
-
-  if (!isWall && !isActive) return null;
 
-  return (
-    <mesh
-      ref={meshRef}
-      position={[posX, height / 2, posZ]}
-      castShadow={isWall}
-      receiveShadow
-      onPointerDown={e => { e.stopPropagation(); onToggleWall(node.row, node.col); }}
-    >
-      <boxGeometry args={[NODE_SIZE, height, NODE_SIZE]} />
-      <meshStandardMaterial
-        color={getColor()}
-        emissive={getEmissive()}
-        emissiveIntensity={getEmissiveIntensity()}
-        roughness={isWall ? 0.3 : 0.55}
-        metalness={isWall ? 0.7 : 0.3}
-      />
-    </mesh>
-  );
-};
+    for (const mesh of [roads, buildings, activity]) {
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+      // Recomputed lazily on the next pointer raycast
+      mesh.boundingSphere = null;
+    }
+    geometries.building.attributes.instanceEmissive.needsUpdate = true;
+    geometries.activity.attributes.instanceEmissive.needsUpdate = true;
+  }, [grid, frames, frame, palettes, size, count, geometries]);
+
+  useFrame(({ clock }) => {
+    const { animations, grid: shownGrid } = shown.current;
+    if (animations.size === 0) return;
+    const activity = activityRef.current;
+    const now = clock.elapsedTime;
+    for (const [i, animation] of animations) {
+      animation.t0 ??= now;
+      const { row, col, terrain } = shownGrid[Math.floor(i / size)][i % size];
+      const h = terrain.h;
+      if (animation.kind === 'rise') {
+        const t = Math.min(1, (now - animation.t0) / RISE.seconds);
+        placeInstance(activity, i, cellCenter(col), RISE.from + (h / 2 - RISE.from) * easeOutCubic(t), cellCenter(row), h);
+        if (t === 1) animations.delete(i);
+      } else {
+        const t = Math.min(1, (now - animation.t0) / PULSE.seconds);
+        const stretch = 1 + (PULSE.stretch - 1) * easeOutBack(t < 0.5 ? t * 2 : 2 - t * 2);
+        placeInstance(activity, i, cellCenter(col), h / 2, cellCenter(row), h * stretch);
+        if (t === 1) animations.delete(i);
+      }
+    }
+    activity.instanceMatrix.needsUpdate = true;
+  });
+
+  const cellEvents = {
+    onPointerDown: e => { e.stopPropagation(); onCellClick(Math.floor(e.instanceId / size), e.instanceId % size); },
+    onPointerMove: e => { e.stopPropagation(); onCellHover(Math.floor(e.instanceId / size), e.instanceId % size); },
+    onPointerOut: () => onCellHover(null),
+  };
 
-// ─── Building Windows ─────────────────────────────────────────────────────────
-const BuildingWindows = ({ node }) => {
-  const { isWall, terrain } = node;
-  if (!isWall) return null;
-  const posX = node.col * STEP - OFFSET + NODE_SIZE / 2;
-  const posZ = node.row * STEP - OFFSET + NODE_SIZE / 2;
-  const floors = Math.floor(terrain.h / 1.2);
   return (
-    <>
-      {Array.from({ length: floors }, (_, f) => {
-        const y = 0.7 + f * 1.2;
-        const lit = (node.row * 7 + node.col * 3 + f * 11) % 5 !== 0;
-        if (!lit) return null;
-        return (
-          <mesh key={f} position={[posX + NODE_SIZE / 2 + 0.01, y, posZ]}>
-            <planeGeometry args={[0.22, 0.3]} />
-            <meshStandardMaterial color="#d97706" emissive="#92400e" emissiveIntensity={0.8} side={THREE.FrontSide} />
-          </mesh>
-        );
-      })}
-    </>
+    <group>
+      <instancedMesh ref={roadsRef} args={[geometries.road, undefined, count]} frustumCulled={false} receiveShadow {...cellEvents}>
+        <meshStandardMaterial roughness={0.92} metalness={0.0} />
+      </instancedMesh>
+      <instancedMesh
+        ref={buildingsRef} args={[geometries.building, undefined, count]} frustumCulled={false}
+        castShadow receiveShadow {...cellEvents}
+      >
+        <meshStandardMaterial roughness={0.3} metalness={0.7} onBeforeCompile={instanceEmissive} />
+      </instancedMesh>
+      <instancedMesh ref={activityRef} args={[geometries.activity, undefined, count]} frustumCulled={false} receiveShadow {...cellEvents}>
+        <meshStandardMaterial roughness={0.55} metalness={0.3} onBeforeCompile={instanceEmissive} />
+      </instancedMesh>
+      <instancedMesh ref={windowsRef} args={[geometries.window, undefined, count * MAX_FLOORS]} frustumCulled={false}>
+        <meshStandardMaterial color="#d97706" emissive="#92400e" emissiveIntensity={0.8} side={THREE.FrontSide} />
+      </instancedMesh>
+    </group>
   );
 };
 
 // ─── Path Line ────────────────────────────────────────────────────────────────
-const PathLine = ({ nodes, color, dimColor }) => {
-  const points = nodes.map(n => new THREE.Vector3(
-    n.col * STEP - OFFSET + NODE_SIZE / 2, 2.0,
-    n.row * STEP - OFFSET + NODE_SIZE / 2
-  ));
+// `spots` are world-space { x, z } points — grid cell centres or road-graph nodes
+const PathLine = ({ spots, color, dimColor, dashed = false, height = 2.0 }) => {
+  const points = spots.map(p => new THREE.Vector3(p.x, height, p.z));
   if (points.length < 2) return null;
-  return <Line points={points} color={dimColor || color} lineWidth={3} />
+  return <Line points={points} color={dimColor || color} lineWidth={3} dashed={dashed} dashSize={0.5} gapSize={0.35} />
 };
 
 // ─── Landmark Marker ──────────────────────────────────────────────────────────
-const LandmarkMarker = ({ position, label, area, coords, color }) => (
-  <group position={position}>
+const LandmarkMarker = ({ position, label, area, coords, color, onGrab, isDragging }) => (
+  <group
+    position={position}
+    onPointerDown={e => { e.stopPropagation(); onGrab?.(); }}
+    onPointerOver={() => { document.body.style.cursor = 'grab'; }}
+    onPointerOut={() => { document.body.style.cursor = ''; }}
+  >
     <Float speed={1.8} floatIntensity={0.5} rotationIntensity={0.2}>
       <mesh position={[0, 7, 0]}>
         <octahedronGeometry args={[0.6, 0]} />
@@ -333,26 +685,117 @@ const LandmarkMarker = ({ position, label, area, coords, color }) => (
     {/* Glow ring */}
     <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.05, 0]}>
       <ringGeometry args={[0.8, 1.2, 32]} />
-      <meshStandardMaterial color={color} emissive={color} emissiveIntensity={3} transparent opacity={0.4} />
+      <meshStandardMaterial color={color} emissive={color} emissiveIntensity={3} transparent opacity={isDragging ? 0.9 : 0.4} />
+    </mesh>
+  </group>
+);
+
+// ─── Waypoint Marker ──────────────────────────────────────────────────────────
+const WaypointMarker = ({ position, index }) => (
+  <group position={position}>
+    <mesh position={[0, 1.6, 0]}>
+      <sphereGeometry args={[0.28, 16, 16]} />
+      <meshStandardMaterial color="#a855f7" emissive="#7e22ce" emissiveIntensity={2} />
     </mesh>
+    <mesh position={[0, 0.8, 0]}>
+      <cylinderGeometry args={[0.025, 0.025, 1.6]} />
+      <meshStandardMaterial color="#a855f7" transparent opacity={0.6} />
+    </mesh>
+    <Html position={[0, 2.3, 0]} center distanceFactor={15}>
+      <div className="waypoint-tag">{index}</div>
+    </Html>
   </group>
 );
 
+// ─── Drive Agent ──────────────────────────────────────────────────────────────
+// The vehicle of an agent drive; glides to each new cell instead of jumping.
+const DriveAgent = ({ spot, blocked }) => {
+  const ref = useRef();
+  useFrame((_, delta) => {
+    if (!ref.current) return;
+    const t = Math.min(1, delta * 10);
+    ref.current.position.x += (spot.x - ref.current.position.x) * t;
+    ref.current.position.z += (spot.z - ref.current.position.z) * t;
+  });
+  const color = blocked ? '#f43f5e' : '#22d3ee';
+  return (
+    <group ref={ref} position={[spot.x, 0, spot.z]}>
+      <mesh position={[0, 0.3, 0]} castShadow>
+        <boxGeometry args={[0.55, 0.28, 0.8]} />
+        <meshStandardMaterial color={color} emissive={color} emissiveIntensity={1.4} />
+      </mesh>
+      <mesh position={[0, 0.52, -0.05]}>
+        <boxGeometry args={[0.4, 0.18, 0.4]} />
+        <meshStandardMaterial color="#0f172a" emissive={color} emissiveIntensity={0.3} />
+      </mesh>
+    </group>
+  );
+};
+
+// ─── Search Cell Tooltip ──────────────────────────────────────────────────────
+// Hovering a cell during playback shows the fields the search has written
+// onto it so far, per lane of the run.
+const formatScore = v => (Number.isFinite(v) ? (Number.isInteger(v) ? v : v.toFixed(2)) : '—');
+const formatCell = c => {
+  if (!c) return '—';
+  return c.id !== undefined ? `#${c.id}` : `(${c.row}, ${c.col})`;
+};
+
+const CellTooltip = ({ cell, terrain, entries }) => (
+  <Html position={[cellCenter(cell.col), 2.4, cellCenter(cell.row)]} center distanceFactor={15} pointerEvents="none">
+    <div className="cell-tip">
+      <div className="cell-tip-head">{formatCell(cell)} · {terrain.label}</div>
+      {entries.map(({ label, lane, color, info }) => (
+        <div key={lane} className="cell-tip-block">
+          <div className="cell-tip-alg" style={{ color }}>{label} · {info ? info.state : 'not reached'}</div>
+          {info && (
+            <>
+              <div className="cell-tip-row"><span>distance</span><span>{formatScore(info.g)}</span></div>
+              <div className="cell-tip-row"><span>heuristic</span><span>{formatScore(info.h)}</span></div>
+              <div className="cell-tip-row"><span>totalCost</span><span>{formatScore(info.f)}</span></div>
+              <div className="cell-tip-row"><span>previousNode</span><span>{formatCell(info.prev)}</span></div>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  </Html>
+);
+
+// ─── Marker Drag Plane ────────────────────────────────────────────────────────
+// Invisible ground plane mounted only while a marker is held. It turns the
+// pointer position into a grid cell and drops the marker on release.
+const MarkerDragPlane = ({ onHover, onDrop }) => {
+  const toCell = point => ({
+    row: Math.floor((point.z + OFFSET) / STEP),
+    col: Math.floor((point.x + OFFSET) / STEP),
+  });
+  return (
+    <mesh
+      rotation={[-Math.PI / 2, 0, 0]}
+      position={[0, 0.02, 0]}
+      onPointerMove={e => onHover(toCell(e.point))}
+      onPointerUp={e => { e.stopPropagation(); onDrop(toCell(e.point)); }}
+    >
+      <planeGeometry args={[400, 400]} />
+      <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+    </mesh>
+  );
+};
+
 // ─── Cinematic Camera ─────────────────────────────────────────────────────────
-const CinematicCamera = ({ pathNodes, isFlying, onFlyComplete }) => {
+// `onFlyComplete` should be stable: a new one restarts the flight.
+const CinematicCamera = ({ spots, isFlying, onFlyComplete }) => {
   const { camera } = useThree();
-  const flyRef = useRef(isFlying);
-  flyRef.current = isFlying;
 
   useEffect(() => {
-    if (!isFlying || !pathNodes || pathNodes.length < 2) return;
+    if (!isFlying || !spots || spots.length < 2) return;
     let idx = 0;
+    let tween = null;
     const flyNext = () => {
-      if (!flyRef.current || idx >= pathNodes.length) { onFlyComplete?.(); return; }
-      const n = pathNodes[idx];
-      const px = n.col * STEP - OFFSET + NODE_SIZE / 2;
-      const pz = n.row * STEP - OFFSET + NODE_SIZE / 2;
-      gsap.to(camera.position, {
+      if (idx >= spots.length) { onFlyComplete?.(); return; }
+      const { x: px, z: pz } = spots[idx];
+      tween = gsap.to(camera.position, {
         x: px + 8, y: 10, z: pz + 8,
         duration: 0.3, ease: 'power2.inOut',
         onUpdate: () => camera.lookAt(px, 0, pz),
@@ -360,158 +803,709 @@ const CinematicCamera = ({ pathNodes, isFlying, onFlyComplete }) => {
       });
     };
     flyNext();
-  }, [isFlying, pathNodes]);
+    // Landing early (or a new route) stops the tween where it is
+    return () => tween?.kill();
+  }, [isFlying, spots, camera, onFlyComplete]);
 
   return null;
 };
 
+// ─── Road Graph Scene ─────────────────────────────────────────────────────────
+// Graph mode draws the street graph instead of grid cells: every edge as a
+// thin line, each run's explored edges (expanded node → relaxed neighbour)
+// growing along the streets as playback advances, and the open list of the
+// step on screen as dots, each lane in its palette colour.
+
+const lineGeometry = positions => {
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return geo;
+};
+
+// Number of entries in the ascending `frames` list that are below `count`
+const countBefore = (frames, count) => {
+  let lo = 0;
+  let hi = frames.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid] < count) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+};
+
+const GraphScene = ({ graph, spots, frames, frame, events, palettes, stops }) => {
+  const network = useMemo(() => {
+    const positions = [];
+    for (const { a, b } of graph.edges) positions.push(spots[a].x, 0.04, spots[a].z, spots[b].x, 0.04, spots[b].z);
+    return lineGeometry(positions);
+  }, [graph, spots]);
+
+  // Explored edges per lane in expansion order, with the frame each one appears in
+  const explored = useMemo(() => {
+    const byLane = new Map();
+    frames.forEach(({ kind, events: frameEvents }, i) => {
+      if (kind !== 'visit') return;
+      for (const { lane, id, step } of frameEvents) {
+        if (!step) continue;
+        if (!byLane.has(lane)) byLane.set(lane, { positions: [], at: [] });
+        const entry = byLane.get(lane);
+        for (const { id: to } of step.relaxed) {
+          entry.positions.push(spots[id].x, 0.12, spots[id].z, spots[to].x, 0.12, spots[to].z);
+          entry.at.push(i);
+        }
+      }
+    });
+    return [...byLane].map(([lane, { positions, at }]) => ({ lane, geo: lineGeometry(positions), at }));
+  }, [frames, spots]);
+
+  const frontier = useMemo(() => events.filter(e => e.step).map(({ lane, step }) => ({
+    lane,
+    geo: lineGeometry(step.frontier.flatMap(({ id }) => [spots[id].x, 0.2, spots[id].z])),
+  })), [events, spots]);
+
+  useEffect(() => {
+    for (const { geo, at } of explored) geo.setDrawRange(0, countBefore(at, frame) * 2);
+  }, [explored, frame]);
+
+  useEffect(() => () => network.dispose(), [network]);
+  useEffect(() => () => explored.forEach(({ geo }) => geo.dispose()), [explored]);
+  useEffect(() => () => frontier.forEach(({ geo }) => geo.dispose()), [frontier]);
+
+  return (
+    <group>
+      <lineSegments geometry={network}>
+        <lineBasicMaterial color="#64748b" transparent opacity={0.7} />
+      </lineSegments>
+      {explored.map(({ lane, geo }) => (
+        <lineSegments key={lane} geometry={geo}>
+          <lineBasicMaterial color={palettes[lane].color} />
+        </lineSegments>
+      ))}
+      {frontier.map(({ lane, geo }) => (
+        <points key={lane} geometry={geo}>
+          <pointsMaterial color={palettes[lane].color} size={0.35} />
+        </points>
+      ))}
+      {stops.map((id, i) => (
+        <mesh key={`${id}-${i}`} position={[spots[id].x, 0.3, spots[id].z]}>
+          <sphereGeometry args={[0.22, 16, 16]} />
+          <meshStandardMaterial color="#e2e8f0" emissive="#94a3b8" emissiveIntensity={0.6} />
+        </mesh>
+      ))}
+    </group>
+  );
+};
+
+// ─── Split-screen Race ────────────────────────────────────────────────────────
+// A race viewed one racer per pane. Each pane draws only its lane's frames
+// of the shared timeline (see laneFrames) at the shared frame, so the one
+// scrubber and play button drive every pane, and orbiting any pane moves
+// all the cameras.
+const SPLIT_CAMERA = { position: [26, 22, 26], fov: 42 };
+
+// The pane being dragged writes the shared `viewRef` view; the others copy it on their next frame
+const SyncedControls = ({ viewRef }) => {
+  const ref = useRef();
+  const { camera } = useThree();
+  useFrame(() => {
+    const controls = ref.current;
+    const view = viewRef.current;
+    if (!controls || view.owner === controls || controls.userData.version === view.version) return;
+    camera.position.copy(view.position);
+    controls.target.copy(view.target);
+    controls.update();
+    controls.userData.version = view.version;
+  });
+  const share = () => {
+    const controls = ref.current;
+    const view = viewRef.current;
+    if (view.owner !== controls) return;
+    view.position.copy(camera.position);
+    view.target.copy(controls.target);
+    view.version += 1;
+    controls.userData.version = view.version;
+  };
+  const grab = () => { viewRef.current.owner = ref.current; };
+  return <OrbitControls ref={ref} maxPolarAngle={Math.PI / 2.1} onStart={grab} onChange={share} />;
+};
+
+const SplitView = ({ timeline, frame, stats, ground, graph, graphSpots, events, hoverCell, hoverEntries, onCellClick, onCellHover }) => {
+  const viewRef = useRef(null);
+  if (viewRef.current === null) {
+    viewRef.current = { position: new THREE.Vector3(...SPLIT_CAMERA.position), target: new THREE.Vector3(), version: 0, owner: null };
+  }
+  const panes = useMemo(() => timeline.lanes.map((_, lane) => laneFrames(timeline.frames, lane)), [timeline]);
+  const complete = frame >= timeline.frames.length;
+
+  return (
+    <div className={`split-view ${timeline.lanes.length > 2 ? 'quad' : ''}`}>
+      {timeline.lanes.map(({ label, palette }, lane) => (
+        <div className="split-pane" key={lane}>
+          <Canvas camera={SPLIT_CAMERA}>
+            <SyncedControls viewRef={viewRef} />
+            <ambientLight intensity={0.3} />
+            <pointLight position={[20, 30, 20]} intensity={3} />
+            <pointLight position={[-15, 12, -15]} intensity={1} color="#818cf8" />
+            <Environment preset="night" />
+            <AsphaltGround roadNetwork={ground} />
+            {graph ? (
+              <GraphScene
+                graph={graph} spots={graphSpots} frames={panes[lane]} frame={frame}
+                events={events.filter(e => e.lane === lane)} palettes={timeline.palettes} stops={timeline.stops}
+              />
+            ) : (
+              <GridCells
+                grid={timeline.baseGrid} frames={panes[lane]} frame={frame} palettes={timeline.palettes}
+                onCellClick={onCellClick} onCellHover={onCellHover}
+              />
+            )}
+            {complete && <PathLine spots={timeline.result.paths[lane]} color={palette.line} />}
+            {hoverEntries && !graph && (
+              <CellTooltip
+                cell={hoverCell} terrain={timeline.baseGrid[hoverCell.row][hoverCell.col].terrain}
+                entries={hoverEntries.filter(e => e.lane === lane)}
+              />
+            )}
+          </Canvas>
+          <div className="split-label" style={{ color: palette.color }}>
+            {label} · {stats.visited[lane] ?? 0} expanded
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 // ─── Grid Creation ────────────────────────────────────────────────────────────
-const createInitialGrid = (roadWeights = null) => {
+// Modular-arithmetic city used when there is no OSM data (or OSM terrain is off)
+const proceduralTerrain = (row, col, isStart, isEnd) => {
+  const onMainDiag = Math.abs(row - col) < 3;
+  const onCrossH = row === 5 || row === 10 || row === 16;
+  const onCrossV = col === 5 || col === 10 || col === 16;
+  const isHighway = onMainDiag && (onCrossH || onCrossV);
+  const isRoad = onMainDiag || onCrossH || onCrossV;
+  const isAlley = !isRoad && (row % 4 === 0 || col % 4 === 0);
+  const isPark = !isRoad && !isAlley && (row * 31 + col * 17) % 13 === 0;
+  const isTower = !isStart && !isEnd && !isRoad && !isAlley && !isPark && (row * 13 + col * 7) % 6 === 0;
+  const isBuilding = !isStart && !isEnd && !isRoad && !isAlley && !isPark && !isTower && (row * 5 + col * 11) % 3 !== 0;
+
+  if (isHighway) return TERRAIN.HIGHWAY;
+  if (isRoad) return TERRAIN.ROAD;
+  if (isAlley) return TERRAIN.ALLEY;
+  if (isPark) return TERRAIN.PARK;
+  if (isTower) return TERRAIN.TOWER;
+  if (isBuilding) return TERRAIN.BUILDING;
+  return TERRAIN.ALLEY;
+};
+
+// With `osmTerrain`, every cell's type comes from the rasterized OSM features;
+// otherwise the procedural city is used and OSM (if loaded) only sets the
+// road type — and so the weight — of its walkable cells.
+const createInitialGrid = (
+  roadNetwork = null, start = DEFAULT_START, end = DEFAULT_END, osmTerrain = false, weights = DEFAULT_WEIGHTS,
+) => {
+  const raster = osmTerrain && roadNetwork ? rasterizeTerrain(roadNetwork, GRID_SIZE) : null;
   const grid = [];
   for (let row = 0; row < GRID_SIZE; row++) {
     const currentRow = [];
     for (let col = 0; col < GRID_SIZE; col++) {
-      const isStart = row === 2 && col === 2;
-      const isEnd = row === GRID_SIZE - 3 && col === GRID_SIZE - 3;
-
-      const onMainDiag = Math.abs(row - col) < 3;
-      const onCrossH = row === 5 || row === 10 || row === 16;
-      const onCrossV = col === 5 || col === 10 || col === 16;
-      const isHighway = onMainDiag && (onCrossH || onCrossV);
-      const isRoad = onMainDiag || onCrossH || onCrossV;
-      const isAlley = !isRoad && (row % 4 === 0 || col % 4 === 0);
-      const isPark = !isRoad && !isAlley && (row * 31 + col * 17) % 13 === 0;
-      const isTower = !isStart && !isEnd && !isRoad && !isAlley && !isPark && (row * 13 + col * 7) % 6 === 0;
-      const isBuilding = !isStart && !isEnd && !isRoad && !isAlley && !isPark && !isTower && (row * 5 + col * 11) % 3 !== 0;
+      const isStart = row === start.row && col === start.col;
+      const isEnd = row === end.row && col === end.col;
 
       let terrain;
-      if (isHighway) terrain = TERRAIN.HIGHWAY;
-      else if (isRoad) terrain = TERRAIN.ROAD;
-      else if (isAlley) terrain = TERRAIN.ALLEY;
-      else if (isPark) terrain = TERRAIN.PARK;
-      else if (isTower) terrain = TERRAIN.TOWER;
-      else if (isBuilding) terrain = TERRAIN.BUILDING;
-      else terrain = TERRAIN.ALLEY;
-
-      let weight = terrain.weight;
-      if (roadWeights && !terrain.isWall) {
-        const { lat, lng } = gridToLatLng(row, col, GRID_SIZE);
-        weight = getWeightForCoord(lat, lng, roadWeights);
+      let roadTypes = [];
+      if (raster) {
+        const cell = raster[row][col];
+        // Start and End always stand on open ground
+        const cleared = (isStart || isEnd) && TERRAIN[cell.terrain].isWall;
+        terrain = cleared ? TERRAIN.ALLEY : TERRAIN[cell.terrain];
+        if (!cleared) roadTypes = cell.roadTypes;
+      } else {
+        terrain = proceduralTerrain(row, col, isStart, isEnd);
+        if (roadNetwork && !terrain.isWall) {
+          const { lat, lng } = gridToLatLng(row, col, GRID_SIZE, roadNetwork.bounds);
+          roadTypes = [roadTypeAtCoord(lat, lng, roadNetwork)];
+        }
       }
 
-      currentRow.push({
-        col, row, isStart, isEnd,
-        distance: Infinity, isVisited: false,
-        isWall: terrain.isWall,
-        isPath: false, bfsVisited: false, bfsPath: false,
-        previousNode: null, totalCost: Infinity, heuristic: 0,
-        weight, terrain,
-      });
+      const weight = cellWeight({ terrain, roadTypes }, weights);
+      currentRow.push(createNode(row, col, isStart, isEnd, terrain, weight, roadTypes));
     }
     grid.push(currentRow);
   }
   return grid;
 };
 
+const createNode = (row, col, isStart, isEnd, terrain, weight, roadTypes) => ({
+  col, row, isStart, isEnd,
+  distance: Infinity, isVisited: false,
+  isWall: terrain.isWall,
+  previousNode: null, totalCost: Infinity, heuristic: 0,
+  weight, terrain, roadTypes,
+});
+
+// Grid rebuilt from a loaded scenario's [[{ terrain: key, weight }]] or a generated
+// layout's [[{ terrain: key, roadTypes }]]; `terrainOf` resolves custom keys too.
+// A scenario cell whose saved weight differs from its terrain's in `weights` keeps it (roadTypes null).
+const gridFromCells = (cells, start, end, terrainOf, weights) => cells.map((cellRow, row) => cellRow.map((cell, col) => {
+  const terrain = terrainOf(cell.terrain);
+  const roadTypes = cell.roadTypes ?? (cell.weight === cellWeight({ terrain, roadTypes: [] }, weights) ? [] : null);
+  const weight = roadTypes === null ? cell.weight : cellWeight({ terrain, roadTypes }, weights);
+  return createNode(row, col, samePos({ row, col }, start), samePos({ row, col }, end), terrain, weight, roadTypes);
+}));
+
+// Position of the first node carrying `flag` ('isStart' / 'isEnd')
+const findFlag = (grid, flag) => {
+  for (const row of grid) for (const node of row) if (node[flag]) return { row: node.row, col: node.col };
+  return null;
+};
+
 // ─── Terrain Weight Legend (always visible panel) ─────────────────────────────
-const TerrainPanel = () => (
+// One row per terrain class, read from the editable weights table; custom
+// painted types follow with their own fixed weight.
+const terrainLegend = (weights, customTerrains = []) => [
+  ...Object.values(TERRAIN).map(t => ({
+    key: t.key, label: t.label, color: t.isWall ? t.color : t.roadColor, border: t.color,
+    weight: t.isWall ? Infinity : weights.terrain[t.key], editable: !t.isWall,
+  })),
+  ...customTerrains.map(t => ({ key: t.key, label: t.label, color: t.color, border: t.color, weight: t.weight, editable: false })),
+];
+const formatWeight = w => (w === Infinity ? '∞' : `×${w}`);
+
+const WeightSlider = ({ value, onChange, disabled }) => (
+  <input
+    type="range" className="opt-slider terrain-slider"
+    min={WEIGHT_RANGE.min} max={WEIGHT_RANGE.max} step={WEIGHT_RANGE.step} value={value} disabled={disabled}
+    onChange={e => onChange(parseFloat(e.target.value))}
+  />
+);
+
+const TerrainPanel = ({ weights, onChange, customTerrains, disabled }) => {
+  const [roadsOpen, setRoadsOpen] = useState(false);
+  const setWeight = (group, key) => value => onChange({ ...weights, [group]: { ...weights[group], [key]: value } });
+  const isDefault = ['terrain', 'roads'].every(group => (
+    Object.entries(DEFAULT_WEIGHTS[group]).every(([key, w]) => weights[group][key] === w)
+  ));
+
+  return (
+    <div className="terrain-panel">
+      <div className="terrain-panel-title">
+        <Activity size={13} /> Terrain Weights
+        <button
+          className="terrain-reset" onClick={() => onChange(DEFAULT_WEIGHTS)} disabled={disabled || isDefault}
+          title="Back to the default weights"
+        >
+          <RotateCcw size={11} /> Defaults
+        </button>
+      </div>
+      <div className="terrain-rows">
+        {terrainLegend(weights, customTerrains).map(({ key, label, color, border, weight, editable }) => (
+          <div className="terrain-row-item" key={key}>
+            <div className="terrain-swatch" style={{ background: color, borderColor: border }} />
+            <span className="terrain-label">{label}</span>
+            {editable && <WeightSlider value={weight} onChange={setWeight('terrain', key)} disabled={disabled} />}
+            <span className="terrain-weight">{formatWeight(weight)}</span>
+          </div>
+        ))}
+      </div>
+      <button className="terrain-roads-toggle" onClick={() => setRoadsOpen(v => !v)}>
+        <ChevronRight size={12} className={roadsOpen ? 'open' : ''} /> OSM road types
+      </button>
+      {roadsOpen && (
+        <div className="terrain-rows">
+          {Object.entries(ROAD_WEIGHT_LABELS).map(([key, label]) => (
+            <div className="terrain-row-item" key={key}>
+              <span className="terrain-label">{label}</span>
+              <WeightSlider value={weights.roads[key]} onChange={setWeight('roads', key)} disabled={disabled} />
+              <span className="terrain-weight">{formatWeight(weights.roads[key])}</span>
+            </div>
+          ))}
+          <div className="opt-hint">Cells an OSM road runs through cost the cheapest road on them.</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ─── Departure Time (traffic) ────────────────────────────────────────────────
+// Picks the hour the trip starts; each traffic profile shows how much it
+// slows its roads then (see ./traffic).
+const DEPARTURE_TICKS = [0, 6, 12, 18];
+const PEAK_CONGESTION = Math.max(...Object.values(TRAFFIC.profiles).flat());
+
+const DeparturePanel = ({ hour, onChange, disabled }) => (
   <div className="terrain-panel">
-    <div className="terrain-panel-title"><Activity size={13} /> Terrain Weights</div>
+    <div className="terrain-panel-title">
+      <Clock size={13} /> Departure Time
+      <span className="departure-time">{formatHour(hour)}</span>
+    </div>
+    <input
+      type="range" className="opt-slider" min={0} max={HOURS_PER_DAY - DEPARTURE_STEP} step={DEPARTURE_STEP}
+      value={hour} disabled={disabled} onChange={e => onChange(parseFloat(e.target.value))}
+    />
+    <div className="departure-ticks">
+      {DEPARTURE_TICKS.map(h => <span key={h}>{formatHour(h)}</span>)}
+    </div>
     <div className="terrain-rows">
-      {[
-        { color: '#3f3f46', label: 'Highway / Main Road', weight: '×1', border: '#52525b' },
-        { color: '#374151', label: 'Secondary Road', weight: '×1.5', border: '#4b5563' },
-        { color: '#1c1917', label: 'Alley / Service', weight: '×2.5', border: '#292524' },
-        { color: '#15803d', label: 'Park / Footway', weight: '×3', border: '#166534' },
-        { color: '#1e3a5f', label: 'Building', weight: '∞', border: '#1e40af' },
-      ].map(({ color, label, weight, border }) => (
-        <div className="terrain-row-item" key={label}>
-          <div className="terrain-swatch" style={{ background: color, borderColor: border }} />
-          <span className="terrain-label">{label}</span>
-          <span className="terrain-weight">{weight}</span>
-        </div>
-      ))}
+      {Object.keys(TRAFFIC.profiles).map(name => {
+        const factor = congestion(name, hour);
+        return (
+          <div className="terrain-row-item" key={name}>
+            <span className="terrain-label traffic-label">{name}</span>
+            <span className="traffic-bar">
+              <span style={{ width: `${((factor - 1) / (PEAK_CONGESTION - 1)) * 100}%` }} />
+            </span>
+            <span className="terrain-weight">×{factor.toFixed(1)}</span>
+          </div>
+        );
+      })}
     </div>
+    <div className="opt-hint">Road weights and ETAs are multiplied by their congestion; alleys and parks flow freely.</div>
   </div>
 );
 
-// ─── Distance Info Panel ──────────────────────────────────────────────────────
-const DistancePanel = ({ stats, algorithm, raceMode }) => {
-  const astarDistKm = stats.astarPath > 0 ? (stats.astarPath * KM_PER_NODE).toFixed(2) : null;
-  const bfsDistKm = stats.bfsPath > 0 ? (stats.bfsPath * KM_PER_NODE).toFixed(2) : null;
-  const astarEta = astarDistKm ? Math.round((parseFloat(astarDistKm) / 30) * 60) : null; // 30 km/h avg
-  const bfsEta = bfsDistKm ? Math.round((parseFloat(bfsDistKm) / 30) * 60) : null;
+// ─── Path Cost Tile (flags non-optimal routes) ───────────────────────────────
+const CostTile = ({ label, cost, optimalCost }) => {
+  const suboptimal = optimalCost !== null && isSuboptimal(cost, optimalCost);
+  const gap = suboptimal ? Math.round(((cost - optimalCost) / optimalCost) * 100) : 0;
+  return (
+    <div className={`stat-tile ${suboptimal ? 'warn' : 'good'}`}>
+      <span className="st-label">{label}</span>
+      <span className="st-val">{cost.toFixed(1)}</span>
+      <span className="st-flag">{suboptimal ? `⚠ +${gap}% vs optimal ${optimalCost.toFixed(1)}` : '✓ Cost-optimal'}</span>
+    </div>
+  );
+};
+
+// ─── Race Results ─────────────────────────────────────────────────────────────
+// One row per racer: nodes expanded so far, path cells traced, the route's
+// cost once playback completes (green when it matches Dijkstra's) and the
+// search's own time in the worker.
+const RaceResults = ({ lanes, stats, complete }) => (
+  <table className="bench-table">
+    <thead>
+      <tr>
+        <th>Racer</th><th>Expanded</th><th>Path</th><th>Cost</th><th>ms</th>
+      </tr>
+    </thead>
+    <tbody>
+      {lanes.map(({ label, palette, time }, lane) => {
+        const route = stats.routes[lane];
+        const optimal = route && stats.optimalCost !== null && !isSuboptimal(route.cost, stats.optimalCost);
+        return (
+          <tr key={lane}>
+            <td style={{ color: palette.color }}>{label}</td>
+            <td>{stats.visited[lane] ?? '—'}</td>
+            <td>{stats.path[lane] || '—'}</td>
+            <td className={route ? (optimal ? 'good' : 'warn') : undefined}>
+              {route ? route.cost.toFixed(1) : complete ? 'none' : '—'}
+            </td>
+            <td>{time === undefined ? '—' : time.toFixed(1)}</td>
+          </tr>
+        );
+      })}
+    </tbody>
+  </table>
+);
 
+// ─── Waypoint Order Log ───────────────────────────────────────────────────────
+// Lists the cheapest orders the optimizer costed; stop numbers refer to the
+// order the waypoints were placed in.
+const TourLog = ({ tour }) => {
+  const ranked = [...tour.tried].sort((a, b) => a.cost - b.cost).slice(0, 6);
   return (
-    <div className="distance-panel">
-      <div className="dist-header">
-        <Route size={13} />
-        <span>Route Analysis</span>
+    <div className="tour-log">
+      <div className="tour-log-head">
+        {tour.exact ? 'Exact' : '2-opt'} · {tour.tried.length} orders tried
       </div>
-      <div className="dist-row">
-        <span className="dist-label">Straight-line</span>
-        <span className="dist-val">{STRAIGHT_LINE_KM.toFixed(2)} km</span>
-      </div>
-      {astarDistKm && (
-        <div className="dist-row">
-          <span className="dist-label" style={{ color: '#fbbf24' }}>A* Route</span>
-          <span className="dist-val" style={{ color: '#fbbf24' }}>{astarDistKm} km · ~{astarEta} min</span>
-        </div>
-      )}
-      {bfsDistKm && (
-        <div className="dist-row">
-          <span className="dist-label" style={{ color: '#60a5fa' }}>BFS Route</span>
-          <span className="dist-val" style={{ color: '#60a5fa' }}>{bfsDistKm} km · ~{bfsEta} min</span>
+      {ranked.map(({ order, cost }, i) => (
+        <div key={i} className={`tour-row ${i === 0 ? 'best' : ''}`}>
+          <span>S → {order.join(' → ')} → E</span>
+          <span>{Number.isFinite(cost) ? cost.toFixed(1) : '∞'}</span>
         </div>
-      )}
-      <div className="dist-row" style={{ marginTop: '0.4rem', borderTop: '1px solid rgba(255,255,255,0.06)', paddingTop: '0.4rem' }}>
-        <span className="dist-label">Grid Scale</span>
-        <span className="dist-val">{KM_PER_NODE.toFixed(3)} km/node</span>
-      </div>
+      ))}
     </div>
   );
 };
 
-// ─── Algorithm Sidebar ────────────────────────────────────────────────────────
-const AlgoSidebar = ({ isOpen, onClose }) => {
-  const [tab, setTab] = useState('bfs');
+// ─── Replan Log (agent drive) ─────────────────────────────────────────────────
+const DRIVE_STEP_MS = 320;
+
+// Nodes a from-scratch A* expands from `from` to `to` — the naive replanner
+const fullReplanExpansions = (grid, from, to, options) => solveLeg(
+  ALGORITHMS['A*'].run,
+  grid.map(r => r.map(n => ({ ...n, distance: Infinity, isVisited: false, previousNode: null, totalCost: Infinity, heuristic: 0 }))),
+  from, to, options,
+).visitedNodesInOrder.length;
+
+// Nodes each (re)plan expanded: D* Lite's repair vs a full A* run from the
+// agent's cell, when that comparison is switched on.
+const ReplanLog = ({ replans }) => {
+  const total = key => replans.reduce((sum, r) => sum + (r[key] ?? 0), 0);
+  const compared = replans.some(r => r.astar !== null);
   return (
-    <div className={`algo-sidebar ${isOpen ? 'open' : ''}`}>
-      <div className="sidebar-header">
-        <div className="sidebar-header-left">
-          <BookOpen size={16} style={{ color: 'var(--primary)' }} />
-          <span>Algorithm Learning Center</span>
-        </div>
-        <button className="close-btn" onClick={onClose}><X size={18} /></button>
+    <div className="tour-log">
+      <div className="tour-log-head">
+        {replans.length - 1} replan{replans.length === 2 ? '' : 's'} · D* Lite {total('dstar')}
+        {compared && ` · A* ${total('astar')}`} nodes
       </div>
+      {replans.slice(-6).reverse().map(({ step, cell, wall, dstar, astar }) => (
+        <div key={`${step}-${cell?.row}-${cell?.col}-${dstar}`} className={`tour-row ${astar !== null && dstar < astar ? 'best' : ''}`}>
+          <span>{cell ? `step ${step} · ${wall ? '+' : '−'} ${cell.row},${cell.col}` : 'initial plan'}</span>
+          <span>{dstar}{astar !== null && ` / ${astar}`}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
 
-      <div className="sidebar-tabs">
-        {['bfs', 'astar', 'race', 'credits'].map(t => (
-          <button key={t} className={`stab ${tab === t ? 'active' : ''}`} onClick={() => setTab(t)}>
-            {t === 'bfs' ? 'BFS' : t === 'astar' ? 'A*' : t === 'race' ? '⚔ Race' : 'Credits'}
-          </button>
-        ))}
+// ─── Playback Controls ────────────────────────────────────────────────────────
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// One line describing the last frame played: which node was expanded, how
+// many neighbours it relaxed and how large the open list was left — one
+// entry per lane, marked with its palette's glyph.
+const describeFrame = (frame, lanes) => {
+  if (!frame) return 'Ready — press play or step forward';
+  if (frame.kind === 'path') return `Tracing path · ${formatCell(frame.events[0])}`;
+  return frame.events.map(event => {
+    const { lane, step } = event;
+    const dir = step?.direction ? ` ${step.direction === 'forward' ? '→' : '←'}` : '';
+    const detail = step ? ` · +${step.relaxed.length} · open ${step.frontierSize}` : '';
+    return `${lanes[lane].palette.mark}${dir} ${formatCell(event)}${detail}`;
+  }).join('   ');
+};
+
+const PlaybackBar = ({ frame, frameCount, playing, speed, currentFrame, lanes, onTogglePlay, onStep, onScrub, onSpeed }) => {
+  const done = frameCount > 0 && frame >= frameCount;
+  return (
+    <div className="playback">
+      <div className="pb-buttons">
+        <button className="pb-btn" onClick={() => onStep(-1)} disabled={frame === 0} title="Step back">
+          <SkipBack size={13} />
+        </button>
+        <button className="pb-btn main" onClick={onTogglePlay} disabled={frameCount === 0} title={playing ? 'Pause' : done ? 'Replay' : 'Play'}>
+          {playing ? <Pause size={14} /> : <Play size={14} />}
+        </button>
+        <button className="pb-btn" onClick={() => onStep(1)} disabled={done || frameCount === 0} title="Step forward">
+          <SkipForward size={13} />
+        </button>
+        <span className="pb-count">{frame} / {frameCount}</span>
       </div>
+      <input
+        type="range" className="opt-slider pb-scrubber" min="0" max={frameCount} step="1"
+        value={frame} disabled={frameCount === 0}
+        onChange={e => onScrub(Number(e.target.value))}
+      />
+      <div className="opt-slider-row">
+        <Gauge size={11} />
+        <input
+          type="range" className="opt-slider" min="0" max={SPEEDS.length - 1} step="1"
+          value={SPEEDS.indexOf(speed)}
+          onChange={e => onSpeed(SPEEDS[Number(e.target.value)])}
+        />
+        <span className="opt-slider-val">{speed}×</span>
+      </div>
+      <div className="pb-step">{frameCount > 0 ? describeFrame(currentFrame, lanes) : 'Run a search to record its steps'}</div>
+    </div>
+  );
+};
 
-      <div className="sidebar-body">
-        {tab === 'bfs' && (
-          <div className="scard">
-            <div className="scard-badge bfs-badge"><Cpu size={11} /> Breadth-First Search</div>
-            <p className="scard-desc">BFS explores all neighbors at the current depth before going deeper — like a ripple in water. It is <strong>blind</strong>: it has no idea where the goal is.</p>
-            <div className="scard-formula">Queue: FIFO · No heuristic · Unweighted</div>
-            <div className="sprop-list">
-              <div className="sprop"><span>Shortest Path</span><span className="good">✓ Guaranteed</span></div>
-              <div className="sprop"><span>Heuristic</span><span>None (Blind)</span></div>
-              <div className="sprop"><span>Time</span><span className="warn">O(V + E)</span></div>
-              <div className="sprop"><span>Space</span><span className="warn">O(V)</span></div>
-              <div className="sprop"><span>Weighted</span><span className="bad">✗ No</span></div>
-            </div>
-            <p className="ssteps-title">Steps</p>
-            <ol className="sstep-list">
-              <li><span className="snum">1</span>Enqueue Start. Mark visited.</li>
-              <li><span className="snum">2</span>Dequeue front node.</li>
-              <li><span className="snum">3</span>If goal → backtrack path.</li>
-              <li><span className="snum">4</span>Enqueue all unvisited neighbors.</li>
+// ─── Search Inspector ─────────────────────────────────────────────────────────
+// The frontier as recorded at the current playback step — the first row is
+// the node the search will expand next.
+const InspectorPanel = ({ events, lanes, closed }) => (
+  <div className="inspector-panel">
+    <div className="dist-header"><ListOrdered size={13} /> Search Inspector</div>
+    {events.length === 0 && <div className="opt-hint">Step through a run to inspect its open list.</div>}
+    {events.map(({ lane, step }) => {
+      const { alg, label, palette } = lanes[lane];
+      if (!step) return null;
+      const hidden = step.frontierSize - step.frontier.length;
+      return (
+        <div key={lane} className="insp-block">
+          <div className="insp-alg" style={{ color: palette.color }}>
+            {label}{step.direction && <span className="insp-dir">{step.direction}</span>}
+          </div>
+          <div className="insp-expand">
+            <span className="insp-key">Expanding</span>
+            <span>{formatCell(step.node)}</span>
+            <span className="insp-nums">g {formatScore(step.node.g)} · h {formatScore(step.node.h)} · f {formatScore(step.node.f)}</span>
+          </div>
+          <div className="insp-counts">
+            <span>closed {closed[lane]}</span>
+            <span>open {step.frontierSize}</span>
+            <span>relaxed +{step.relaxed.length}</span>
+          </div>
+          <div className="insp-order">{ALGORITHMS[alg].frontier}</div>
+          <div className="insp-list">
+            <div className="insp-row head"><span>#</span><span>cell</span><span>g</span><span>h</span><span>f</span></div>
+            {step.frontier.map((c, i) => (
+              <div key={formatCell(c)} className={`insp-row ${i === 0 ? 'next' : ''}`}>
+                <span>{i + 1}</span>
+                <span>{formatCell(c)}</span>
+                <span>{formatScore(c.g)}</span>
+                <span>{formatScore(c.h)}</span>
+                <span>{formatScore(c.f)}</span>
+              </div>
+            ))}
+            {hidden > 0 && <div className="insp-more">+{hidden} more</div>}
+            {step.frontierSize === 0 && <div className="insp-more">empty</div>}
+          </div>
+        </div>
+      );
+    })}
+  </div>
+);
+
+// ─── Distance Info Panel ──────────────────────────────────────────────────────
+const RouteSummary = ({ name, route, color }) => (
+  <div className="dist-route">
+    <div className="dist-row">
+      <span className="dist-label" style={{ color }}>{name} Route</span>
+      <span className="dist-val" style={{ color }}>{route.km.toFixed(2)} km · ~{Math.round(route.minutes)} min</span>
+    </div>
+    <div className="dist-row">
+      <span className="dist-label">Terrain cost</span>
+      <span className="dist-val">{route.cost.toFixed(1)}</span>
+    </div>
+    <div className="dist-bar">
+      {Object.entries(route.breakdown).map(([label, { km, color: c }]) => (
+        <div key={label} className="dist-bar-seg" style={{ flex: km, background: c }} title={`${label}: ${km.toFixed(2)} km`} />
+      ))}
+    </div>
+    <div className="dist-breakdown">
+      {Object.entries(route.breakdown).map(([label, { cells, color: c }]) => (
+        <span key={label} className="dist-chip">
+          <span className="dist-chip-dot" style={{ background: c }} />{label} {cells}
+        </span>
+      ))}
+    </div>
+  </div>
+);
+
+const DistancePanel = ({ stats, lanes, straightKm, kmPerCell, graph, departure, traveller, profileRuns }) => (
+  <div className="distance-panel">
+    <div className="dist-header">
+      <Route size={13} />
+      <span>Route Analysis</span>
+    </div>
+    <div className="dist-row">
+      <span className="dist-label">Straight-line</span>
+      <span className="dist-val">{straightKm.toFixed(2)} km</span>
+    </div>
+    <div className="dist-row">
+      <span className="dist-label">Departure</span>
+      <span className="dist-val">{formatHour(departure)} · {traveller.label}</span>
+    </div>
+    {stats.routes.map((route, lane) => route && (
+      <RouteSummary key={lane} name={lanes[lane].label} route={route} color={lanes[lane].palette.color} />
+    ))}
+    {profileRuns && <ProfileComparison runs={profileRuns} />}
+    <div className="dist-row" style={{ marginTop: '0.4rem', borderTop: '1px solid rgba(255,255,255,0.06)', paddingTop: '0.4rem' }}>
+      <span className="dist-label">{graph ? 'Street Graph' : 'Grid Scale'}</span>
+      <span className="dist-val">
+        {graph ? `${graph.size} nodes · ${graph.edges.length} edges` : `${kmPerCell.toFixed(3)} km/node`}
+      </span>
+    </div>
+  </div>
+);
+
+// ─── Travel Profile Comparison ────────────────────────────────────────────────
+const PROFILE_ICONS = { car: Car, twoWheeler: Motorbike, cycle: Bike, walk: Footprints };
+
+// One row per travel profile: the same stops searched as each traveller,
+// fastest arrival marked
+const ProfileComparison = ({ runs }) => {
+  const fastest = runs.reduce((best, r) => (r.route && (!best || r.route.minutes < best.route.minutes) ? r : best), null);
+  return (
+    <div className="dist-route">
+      <div className="dist-row">
+        <span className="dist-label">By travel profile</span>
+      </div>
+      {runs.map(({ id, route }) => {
+        const { label, color } = TRAVEL_PROFILES[id];
+        const Icon = PROFILE_ICONS[id];
+        return (
+          <div className="dist-row" key={id}>
+            <span className="dist-label" style={{ color }}><Icon size={11} /> {label}</span>
+            <span className="dist-val" style={route && route === fastest?.route ? { color } : undefined}>
+              {route ? `${route.km.toFixed(2)} km · ~${Math.round(route.minutes)} min` : 'no route'}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// ─── Race Evidence (from the last benchmark) ─────────────────────────────────
+const RaceEvidence = ({ summary }) => {
+  const row = id => summary.find(s => s.algorithm === id);
+  const bfs = row('BFS');
+  const astar = row('A*');
+  // Fewest nodes expanded among the searches that always returned the cheapest route
+  const winner = summary
+    .filter(s => s.optimalRate === 100)
+    .reduce((best, s) => (best === null || s.expanded < best.expanded ? s : best), null);
+  return (
+    <div className="sprop-list">
+      {bfs && <div className="sprop"><span>BFS Nodes Explored</span><span className="warn">{fmt(bfs.explored, 0)}% of open cells</span></div>}
+      {astar && <div className="sprop"><span>A* Nodes Explored</span><span className="good">{fmt(astar.explored, 0)}% of open cells</span></div>}
+      <div className="sprop">
+        <span>Fewest nodes, always optimal</span>
+        <span className="good">{winner ? winner.algorithm : '—'}</span>
+      </div>
+      <div className="sprop"><span>Measured over</span><span>{summary[0].runs} benchmark grids</span></div>
+    </div>
+  );
+};
+
+// ─── Algorithm Sidebar ────────────────────────────────────────────────────────
+// `heuristic` is the one chosen in the left panel, `bidirHeuristic` the one Bi-A* picks for the world;
+// A* keeps its shortest-path guarantee only with ε = 1 and a heuristic `admissible` for the movement
+const AlgoSidebar = ({ isOpen, onClose, weights, benchmark, heuristic, bidirHeuristic, epsilon, admissible, racers }) => {
+  const [tab, setTab] = useState('bfs');
+  return (
+    <div className={`algo-sidebar ${isOpen ? 'open' : ''}`}>
+      <div className="sidebar-header">
+        <div className="sidebar-header-left">
+          <BookOpen size={16} style={{ color: 'var(--primary)' }} />
+          <span>Algorithm Learning Center</span>
+        </div>
+        <button className="close-btn" onClick={onClose}><X size={18} /></button>
+      </div>
+
+      <div className="sidebar-tabs">
+        {[
+          ['bfs', 'BFS'], ['dfs', 'DFS'], ['dijkstra', 'Dijkstra'], ['greedy', 'Greedy'],
+          ['astar', 'A*'], ['bidir', 'Bidir'], ['race', '⚔ Race'], ['credits', 'Credits'],
+        ].map(([t, label]) => (
+          <button key={t} className={`stab ${tab === t ? 'active' : ''}`} onClick={() => setTab(t)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="sidebar-body">
+        {tab === 'bfs' && (
+          <div className="scard">
+            <div className="scard-badge bfs-badge"><Cpu size={11} /> Breadth-First Search</div>
+            <p className="scard-desc">BFS explores all neighbors at the current depth before going deeper — like a ripple in water. It is <strong>blind</strong>: it has no idea where the goal is.</p>
+            <div className="scard-formula">Queue: FIFO · No heuristic · Unweighted</div>
+            <div className="sprop-list">
+              <div className="sprop"><span>Shortest Path</span><span className="good">✓ Guaranteed</span></div>
+              <div className="sprop"><span>Heuristic</span><span>None (Blind)</span></div>
+              <div className="sprop"><span>Time</span><span className="warn">O(V + E)</span></div>
+              <div className="sprop"><span>Space</span><span className="warn">O(V)</span></div>
+              <div className="sprop"><span>Weighted</span><span className="bad">✗ No</span></div>
+            </div>
+            <p className="ssteps-title">Steps</p>
+            <ol className="sstep-list">
+              <li><span className="snum">1</span>Enqueue Start. Mark visited.</li>
+              <li><span className="snum">2</span>Dequeue front node.</li>
+              <li><span className="snum">3</span>If goal → backtrack path.</li>
+              <li><span className="snum">4</span>Enqueue all unvisited neighbors.</li>
               <li><span className="snum">5</span>Repeat until queue empty.</li>
             </ol>
             <div className="sdivider" />
@@ -519,63 +1513,162 @@ const AlgoSidebar = ({ isOpen, onClose }) => {
           </div>
         )}
 
+        {tab === 'dfs' && (
+          <div className="scard">
+            <div className="scard-badge dfs-badge"><GitBranch size={11} /> Depth-First Search</div>
+            <p className="scard-desc">DFS follows one street as far as it can go, and only <strong>backtracks</strong> at a dead end. It finds <em>a</em> route quickly in a maze, but usually a winding one.</p>
+            <div className="scard-formula">Stack: LIFO · No heuristic · Unweighted</div>
+            <div className="sprop-list">
+              <div className="sprop"><span>Shortest Path</span><span className="bad">✗ Not guaranteed</span></div>
+              <div className="sprop"><span>Heuristic</span><span>None (Blind)</span></div>
+              <div className="sprop"><span>Time</span><span className="warn">O(V + E)</span></div>
+              <div className="sprop"><span>Space</span><span className="good">O(depth)</span></div>
+              <div className="sprop"><span>Weighted</span><span className="bad">✗ No</span></div>
+            </div>
+            <p className="ssteps-title">Steps</p>
+            <ol className="sstep-list">
+              <li><span className="snum">1</span>Push Start onto the stack.</li>
+              <li><span className="snum">2</span>Pop the top node; skip if visited.</li>
+              <li><span className="snum">3</span>If goal → backtrack path.</li>
+              <li><span className="snum">4</span>Push all unvisited neighbors.</li>
+              <li><span className="snum">5</span>Repeat until stack empty.</li>
+            </ol>
+            <div className="sdivider" />
+            <p className="suse">Real-world: Maze solving, topological sort, detecting cycles.</p>
+          </div>
+        )}
+
+        {tab === 'dijkstra' && (
+          <div className="scard">
+            <div className="scard-badge dijkstra-badge"><Scale size={11} /> Dijkstra's Algorithm</div>
+            <p className="scard-desc">Dijkstra always expands the node with the <strong>lowest cost so far</strong>. It respects terrain weights but has no sense of direction, so it spreads out evenly in cost.</p>
+            <div className="scard-formula">f(n) = g(n)<br />g(n) = actual cost · h(n) = 0</div>
+            <div className="sprop-list">
+              <div className="sprop"><span>Shortest Path</span><span className="good">✓ Guaranteed</span></div>
+              <div className="sprop"><span>Heuristic</span><span>None (h = 0)</span></div>
+              <div className="sprop"><span>Time</span><span className="good">O(E log V)</span></div>
+              <div className="sprop"><span>Weighted</span><span className="good">✓ Yes</span></div>
+            </div>
+            <p className="ssteps-title">Steps</p>
+            <ol className="sstep-list">
+              <li><span className="snum">1</span>Set g(Start) = 0, all others ∞.</li>
+              <li><span className="snum">2</span>Pop the node with the lowest g(n).</li>
+              <li><span className="snum">3</span>If goal → backtrack path.</li>
+              <li><span className="snum">4</span>Relax neighbors: g + terrain weight.</li>
+              <li><span className="snum">5</span>Repeat until queue empty.</li>
+            </ol>
+            <div className="sdivider" />
+            <p className="suse">Real-world: Network routing (OSPF), the baseline every GPS router is measured against.</p>
+          </div>
+        )}
+
+        {tab === 'greedy' && (
+          <div className="scard">
+            <div className="scard-badge greedy-badge"><Target size={11} /> Greedy Best-First</div>
+            <p className="scard-desc">Greedy search always heads for the node that <strong>looks closest</strong> to the goal. It ignores the cost already paid, so it is fast but can be lured down an expensive alley.</p>
+            <div className="scard-formula">f(n) = h(n)<br />h(n) = {HEURISTICS[heuristic].label} · g(n) ignored</div>
+            <div className="sprop-list">
+              <div className="sprop"><span>Shortest Path</span><span className="bad">✗ Not guaranteed</span></div>
+              <div className="sprop"><span>Heuristic</span><span className="good">{HEURISTICS[heuristic].label}</span></div>
+              <div className="sprop"><span>Time</span><span className="good">O(E log V)</span></div>
+              <div className="sprop"><span>Weighted</span><span className="bad">✗ No</span></div>
+            </div>
+            <div className="sdivider" />
+            <p className="suse">Compare with A*: same heuristic, but without g(n) the route is no longer guaranteed cheapest.</p>
+          </div>
+        )}
+
         {tab === 'astar' && (
           <div className="scard">
             <div className="scard-badge astar-badge"><Zap size={11} /> A* Search</div>
             <p className="scard-desc">A* uses a heuristic to <strong>estimate</strong> the remaining distance to the goal. It always expands the most promising node first.</p>
-            <div className="scard-formula">f(n) = g(n) + h(n)<br />g(n) = actual cost · h(n) = Manhattan dist</div>
+            <div className="scard-formula">f(n) = g(n) + ε·h(n)<br />g(n) = actual cost · h(n) = {HEURISTICS[heuristic].label}</div>
             <div className="sprop-list">
-              <div className="sprop"><span>Shortest Path</span><span className="good">✓ Guaranteed</span></div>
-              <div className="sprop"><span>Heuristic</span><span className="good">Manhattan Distance</span></div>
+              <div className="sprop">
+                <span>Shortest Path</span>
+                {epsilon > 1 ? <span className="warn">✗ Not with ε = {epsilon.toFixed(1)}</span>
+                  : !admissible ? <span className="warn">✗ Not with {HEURISTICS[heuristic].label} on 8-way moves</span>
+                    : <span className="good">✓ Guaranteed</span>}
+              </div>
+              <div className="sprop"><span>Heuristic</span><span className="good">{HEURISTICS[heuristic].label}</span></div>
               <div className="sprop"><span>Time</span><span className="good">O(E log V)</span></div>
               <div className="sprop"><span>Weighted</span><span className="good">✓ Yes</span></div>
               <div className="sprop"><span>Road Data</span><span className="good">✓ OSM Weights</span></div>
+              <div className="sprop"><span>Weighted A* (ε &gt; 1)</span><span className="warn">≤ ε × optimal</span></div>
             </div>
+            <p className="suse">Try another heuristic in the left panel, and raise ε: fewer nodes are explored, but the Cost tile flags when the route is no longer the cheapest.</p>
             <p className="ssteps-title">Terrain Weights</p>
             <div className="sterrain">
-              {[
-                { color: '#3f3f46', label: 'Highway / Main Road', w: '×1', b: '#52525b' },
-                { color: '#374151', label: 'Secondary Road', w: '×1.5', b: '#4b5563' },
-                { color: '#1c1917', label: 'Alley / Service', w: '×2.5', b: '#292524' },
-                { color: '#15803d', label: 'Park / Footway', w: '×3', b: '#166534' },
-                { color: '#1e3a5f', label: 'Building', w: '∞', b: '#1e40af' },
-              ].map(({ color, label, w, b }) => (
-                <div className="sterrain-row" key={label}>
-                  <div className="sterrain-dot" style={{ background: color, borderColor: b }} />
+              {terrainLegend(weights).map(({ key, label, color, border, weight }) => (
+                <div className="sterrain-row" key={key}>
+                  <div className="sterrain-dot" style={{ background: color, borderColor: border }} />
                   <span>{label}</span>
-                  <span className="sterrain-w">{w}</span>
+                  <span className="sterrain-w">{formatWeight(weight)}</span>
                 </div>
               ))}
             </div>
             <div className="sdivider" />
-            <p className="suse">A* naturally prefers College Road (×1) over alleys (×2.5) — just like Google Maps!</p>
+            <p className="suse">
+              A* naturally prefers College Road ({formatWeight(weights.roads.primary)}) over
+              alleys ({formatWeight(weights.terrain.ALLEY)}) — just like Google Maps! Change the
+              weights in the Terrain panel and run again to watch the route shift.
+            </p>
+          </div>
+        )}
+
+        {tab === 'bidir' && (
+          <div className="scard">
+            <div className="scard-badge bidir-badge"><ArrowLeftRight size={11} /> Bidirectional Search</div>
+            <p className="scard-desc">Two searches run at once — one from GFGC, one from KCD — and stop when their frontiers <strong>meet in the middle</strong>. Each side only has to cover about half the distance.</p>
+            <div className="scard-formula">Forward: Start → · Backward: ← End<br />Stop when μ ≤ best remaining f(n)</div>
+            <div className="sprop-list">
+              <div className="sprop"><span>Shortest Path</span><span className="good">✓ Guaranteed</span></div>
+              <div className="sprop"><span>Bi-BFS</span><span>Unweighted</span></div>
+              <div className="sprop"><span>Bi-A*</span><span className="good">Weighted + {HEURISTICS[bidirHeuristic].label}</span></div>
+              <div className="sprop"><span>Time</span><span className="good">O(b^(d/2))</span></div>
+            </div>
+            <p className="ssteps-title">Steps</p>
+            <ol className="sstep-list">
+              <li><span className="snum">1</span>Seed one frontier at Start, one at End.</li>
+              <li><span className="snum">2</span>Expand the smaller frontier — Bi-BFS a whole layer, Bi-A* one node.</li>
+              <li><span className="snum">3</span>When a node is reached from both sides, record μ.</li>
+              <li><span className="snum">4</span>Stop when no frontier can beat μ.</li>
+              <li><span className="snum">5</span>Join both halves at the meeting node.</li>
+            </ol>
+            <div className="sdivider" />
+            <p className="suse">Real-world: Road-network routers and social "degrees of separation" queries.</p>
           </div>
         )}
 
         {tab === 'race' && (
           <div className="scard">
             <div className="scard-badge race-badge"><Swords size={11} /> Race Mode</div>
-            <p className="scard-desc">Enable <strong>Race Mode</strong> to run BFS and A* simultaneously. Watch A* cut directly to KCD while BFS floods the entire map.</p>
+            <p className="scard-desc">
+              Enable <strong>Race Mode</strong> to run two to four algorithms at once, each in its own colour —
+              overlaid on one map or side by side in split screen. Watch a heuristic search cut towards KCD while
+              a blind one floods the map. Your current line-up:
+            </p>
             <div className="race-color-guide">
               {[
-                { color: '#f59e0b', label: 'A* Explored' },
-                { color: '#6366f1', label: 'BFS Explored' },
-                { color: '#fbbf24', label: 'A* Path (Gold)' },
-                { color: '#60a5fa', label: 'BFS Path (Blue)' },
-                { color: '#a855f7', label: 'Overlap Zone' },
-              ].map(({ color, label }) => (
-                <div className="rcg-row" key={label}>
+                ...racers.flatMap(({ label, palette }) => [
+                  { color: lookHex(palette.visit), label: `${label} Visited` },
+                  { color: lookHex(palette.path), label: `${label} Path` },
+                ]),
+                { color: lookHex(blendLook(LANE_PALETTES, 'visit', (1 << racers.length) - 1)), label: 'Shared — colours blend' },
+              ].map(({ color, label }, i) => (
+                <div className="rcg-row" key={i}>
                   <div className="rcg-dot" style={{ background: color, boxShadow: `0 0 8px ${color}` }} />
                   <span>{label}</span>
                 </div>
               ))}
             </div>
             <div className="sdivider" />
-            <div className="sprop-list">
-              <div className="sprop"><span>BFS Nodes Explored</span><span className="warn">~60–80%</span></div>
-              <div className="sprop"><span>A* Nodes Explored</span><span className="good">~20–40%</span></div>
-              <div className="sprop"><span>Winner</span><span className="good">A* (always)</span></div>
-            </div>
+            {benchmark ? <RaceEvidence summary={benchmark} /> : (
+              <p className="suse">
+                How much of the map does each one really explore? Open the <strong>Benchmark</strong> (flask icon)
+                and run a batch — the measured numbers appear here.
+              </p>
+            )}
           </div>
         )}
 
@@ -611,194 +1704,1330 @@ const AlgoSidebar = ({ isOpen, onClose }) => {
   );
 };
 
+// ─── Benchmark ────────────────────────────────────────────────────────────────
+// Runs every chosen algorithm headlessly over a batch of seeded grids in a
+// Web Worker (see ./benchmark), then shows per-algorithm averages and a
+// histogram of nodes expanded. `searchOptions` are the left panel's settings.
+const HISTOGRAM_BINS = 12;
+const fmt = (v, digits = 1) => (v === null ? '—' : v.toFixed(digits));
+
+const downloadText = (text, filename, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const BenchmarkPanel = ({ isOpen, onClose, searchOptions, weights, onSummary }) => {
+  const [config, setConfig] = useState({
+    runs: BENCHMARK_RUNS.default, generator: 'random', density: DENSITY_RANGE.default, seed: '1', algorithms: ALGORITHM_IDS,
+  });
+  const [progress, setProgress] = useState(null); // { done, total } while the worker runs
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const set = patch => setConfig(c => ({ ...c, ...patch }));
+
+  const stop = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setProgress(null);
+  };
+  // Closing the app mid-run must not leave the worker spinning
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const start = () => {
+    stop();
+    const worker = new Worker(new URL('./benchmark.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setProgress({ done: data.done, total: data.total });
+      } else if (data.type === 'done') {
+        setRows(data.rows);
+        onSummary(summarize(data.rows));
+        stop();
+      } else {
+        setError(data.message);
+        stop();
+      }
+    };
+    setRows(null);
+    setError(null);
+    setProgress({ done: 0, total: config.runs });
+    worker.postMessage({
+      runs: config.runs, generator: config.generator, density: config.density, seed: seedFrom(config.seed),
+      size: GRID_SIZE, algorithms: config.algorithms, options: searchOptions, weights,
+    });
+  };
+
+  const toggleAlgorithm = id => set({
+    algorithms: config.algorithms.includes(id)
+      ? config.algorithms.filter(a => a !== id)
+      : ALGORITHM_IDS.filter(a => a === id || config.algorithms.includes(a)),
+  });
+
+  const summary = useMemo(() => (rows ? summarize(rows) : null), [rows]);
+  const maxExpanded = rows ? Math.max(...rows.map(r => r.expanded)) : 0;
+  const running = progress !== null;
+
+  return (
+    <div className={`algo-sidebar bench-sidebar ${isOpen ? 'open' : ''}`}>
+      <div className="sidebar-header">
+        <div className="sidebar-header-left">
+          <FlaskConical size={16} style={{ color: 'var(--primary)' }} />
+          <span>Benchmark</span>
+        </div>
+        <button className="close-btn" onClick={onClose}><X size={18} /></button>
+      </div>
+
+      <div className="sidebar-body">
+        <div className="scard">
+          <p className="scard-desc">
+            Runs each algorithm without animation on <strong>{config.runs}</strong> seeded grids, with the heuristic,
+            ε and movement chosen in the left panel. Grid <em>n</em> uses seed + <em>n</em>, so a batch can be
+            reproduced exactly.
+          </p>
+          <div className="region-form">
+            <select
+              className="opt-select" value={config.generator} disabled={running}
+              onChange={e => set({ generator: e.target.value })}
+            >
+              {Object.entries(GENERATORS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <div className="region-form-row">
+              <input
+                className="region-input" type="number" min={BENCHMARK_RUNS.min} max={BENCHMARK_RUNS.max}
+                value={config.runs} disabled={running} title="Number of grids"
+                onChange={e => set({
+                  runs: Math.min(BENCHMARK_RUNS.max, Math.max(BENCHMARK_RUNS.min, parseInt(e.target.value, 10) || BENCHMARK_RUNS.min)),
+                })}
+              />
+              <input
+                className="region-input" placeholder="Seed" value={config.seed} disabled={running} title="First seed"
+                onChange={e => set({ seed: e.target.value })}
+              />
+            </div>
+            {config.generator === 'random' && (
+              <div className="opt-slider-row">
+                <span className="opt-slider-label">Density p</span>
+                <input
+                  type="range" className="opt-slider" min={DENSITY_RANGE.min} max={DENSITY_RANGE.max} step={0.05}
+                  value={config.density} disabled={running}
+                  onChange={e => set({ density: parseFloat(e.target.value) })}
+                />
+                <span className="opt-slider-val">{config.density.toFixed(2)}</span>
+              </div>
+            )}
+            <div className="bench-algos">
+              {ALGORITHM_IDS.map(id => (
+                <button
+                  key={id} className={`seg-btn ${config.algorithms.includes(id) ? 'active' : ''}`}
+                  onClick={() => toggleAlgorithm(id)} disabled={running}
+                >
+                  {id}
+                </button>
+              ))}
+            </div>
+            <div className="seg-toggle">
+              {running ? (
+                <button className="seg-btn" onClick={stop}><Square size={12} /> Cancel</button>
+              ) : (
+                <button
+                  className="seg-btn" onClick={start} disabled={config.algorithms.length === 0 || !config.seed.trim()}
+                >
+                  <Play size={12} /> Run benchmark
+                </button>
+              )}
+              <button
+                className="seg-btn" disabled={!rows}
+                onClick={() => downloadText(toCSV(rows), `benchmark-${config.generator}-${config.seed}.csv`, 'text/csv')}
+              >
+                <Download size={12} /> CSV
+              </button>
+            </div>
+            {running && (
+              <div className="bench-progress">
+                <div className="bench-progress-bar" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+                <span>{progress.done} / {progress.total} grids</span>
+              </div>
+            )}
+            {error && <div className="opt-hint warn">{error}</div>}
+          </div>
+        </div>
+
+        {summary && (
+          <div className="scard">
+            <p className="ssteps-title">Averages over {rows.length / summary.length} grids</p>
+            <table className="bench-table">
+              <thead>
+                <tr>
+                  <th>Algorithm</th><th>Expanded</th><th>% open</th><th>Cost</th><th>Gap</th><th>Optimal</th><th>ms</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.map(s => (
+                  <tr key={s.algorithm}>
+                    <td>{s.algorithm}</td>
+                    <td title={`median ${s.medianExpanded}`}>{fmt(s.expanded, 0)}</td>
+                    <td>{fmt(s.explored, 0)}%</td>
+                    <td>{fmt(s.cost)}</td>
+                    <td className={s.gap > 1e-7 ? 'warn' : 'good'}>+{fmt(s.gap)}%</td>
+                    <td>{fmt(s.optimalRate, 0)}%</td>
+                    <td>{fmt(s.ms, 2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="opt-hint">Gap is the route's extra cost over Dijkstra on the same grid.</p>
+
+            <p className="ssteps-title">Nodes expanded (0 – {maxExpanded})</p>
+            {summary.map(({ algorithm }) => {
+              const counts = histogram(
+                rows.filter(r => r.algorithm === algorithm).map(r => r.expanded), HISTOGRAM_BINS, 0, maxExpanded,
+              );
+              const peak = Math.max(...counts);
+              return (
+                <div className="bench-hist-row" key={algorithm}>
+                  <span className="bench-hist-label">{algorithm}</span>
+                  <div className="bench-hist">
+                    {counts.map((count, i) => (
+                      <div
+                        key={i} className="bench-hist-bar" style={{ height: `${(count / peak) * 100}%` }}
+                        title={`${count} grid${count === 1 ? '' : 's'}`}
+                      />
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ─── Region Picker ────────────────────────────────────────────────────────────
+// Preset towns, or any centre point typed in as lat/lng with a box size.
+const RegionPicker = ({ region, onSelect, disabled }) => {
+  const [customOpen, setCustomOpen] = useState(region.id === 'custom');
+  const [form, setForm] = useState({ name: '', lat: '', lng: '', spanKm: String(CUSTOM_SPAN_KM.default) });
+  const [error, setError] = useState(null);
+
+  const onPreset = id => {
+    if (id === 'custom') { setCustomOpen(true); return; }
+    setCustomOpen(false);
+    setError(null);
+    onSelect(REGION_PRESETS[id]);
+  };
+
+  const applyCustom = () => {
+    try {
+      onSelect(createCustomRegion({
+        name: form.name, lat: parseFloat(form.lat), lng: parseFloat(form.lng), spanKm: parseFloat(form.spanKm),
+      }));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const field = (key, placeholder) => (
+    <input
+      className="region-input" placeholder={placeholder} value={form[key]} disabled={disabled}
+      onChange={e => setForm(f => ({ ...f, [key]: e.target.value }))}
+    />
+  );
+
+  return (
+    <>
+      <select
+        className="opt-select" value={customOpen ? 'custom' : region.id} disabled={disabled}
+        onChange={e => onPreset(e.target.value)}
+      >
+        {Object.values(REGION_PRESETS).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        <option value="custom">Custom (lat / lng)…</option>
+      </select>
+      {customOpen && (
+        <div className="region-form">
+          {field('name', 'Name (optional)')}
+          <div className="region-form-row">
+            {field('lat', 'Latitude')}
+            {field('lng', 'Longitude')}
+          </div>
+          <div className="region-form-row">
+            {field('spanKm', 'Box size (km)')}
+            <button className="seg-btn" onClick={applyCustom} disabled={disabled}>Load</button>
+          </div>
+          {error && <div className="opt-hint warn">{error}</div>}
+          {region.id === 'custom' && !error && <div className="opt-hint">Showing {region.name}</div>}
+        </div>
+      )}
+    </>
+  );
+};
+
+// ─── Terrain Editor ───────────────────────────────────────────────────────────
+const PAINT_TOOL_INFO = {
+  toggle: { icon: MousePointerClick, label: 'Toggle', hint: 'Click a cell to flip it between road and building' },
+  brush: { icon: Paintbrush, label: 'Brush', hint: 'Hold and drag to paint the selected terrain' },
+  line: { icon: Slash, label: 'Line', hint: 'Drag from one cell to another to paint a straight line' },
+  rect: { icon: Square, label: 'Rect', hint: 'Drag across two corners to fill a rectangle' },
+  eraser: { icon: Eraser, label: 'Erase', hint: 'Hold and drag to restore the original terrain' },
+};
+
+// Tool buttons, terrain palette, undo/redo and a form for new terrain types
+const TerrainEditor = ({
+  tool, onTool, brushKey, onBrush, weights, customTerrains, onAddTerrain, canUndo, canRedo, onUndo, onRedo, disabled,
+}) => {
+  const [formOpen, setFormOpen] = useState(false);
+  const [form, setForm] = useState({ label: '', weight: 2, color: '#a16207' });
+  const full = customTerrains.length >= MAX_CUSTOM_TERRAINS;
+  const painting = tool !== 'toggle' && tool !== 'eraser';
+
+  const addTerrain = () => {
+    onAddTerrain({ ...form, label: form.label.trim() || `Custom ${customTerrains.length + 1}` });
+    setForm(f => ({ ...f, label: '' }));
+    setFormOpen(false);
+  };
+
+  return (
+    <>
+      <div className="seg-toggle">
+        {PAINT_TOOLS.map(key => {
+          const { icon: Icon, label } = PAINT_TOOL_INFO[key];
+          return (
+            <button
+              key={key} className={`seg-btn ${tool === key ? 'active' : ''}`} title={label}
+              onClick={() => onTool(key)} disabled={disabled}
+            >
+              <Icon size={12} />
+            </button>
+          );
+        })}
+      </div>
+      {painting && (
+        <div className="paint-palette">
+          {terrainLegend(weights, customTerrains).map(t => (
+            <button
+              key={t.key} className={`paint-swatch ${brushKey === t.key ? 'active' : ''}`}
+              title={`${t.label} · ${t.weight === Infinity ? 'impassable' : formatWeight(t.weight)}`}
+              style={{ background: t.color }}
+              onClick={() => onBrush(t.key)} disabled={disabled}
+            />
+          ))}
+          <button
+            className="paint-swatch add" title={full ? `At most ${MAX_CUSTOM_TERRAINS} custom types` : 'New terrain type'}
+            onClick={() => setFormOpen(v => !v)} disabled={disabled || full}
+          >
+            <Plus size={11} />
+          </button>
+        </div>
+      )}
+      {painting && formOpen && (
+        <div className="region-form">
+          <div className="region-form-row">
+            <input
+              className="region-input" placeholder="Label (e.g. Mud)" value={form.label} maxLength={24}
+              onChange={e => setForm(f => ({ ...f, label: e.target.value }))}
+            />
+            <input
+              type="color" className="paint-color" value={form.color} title="Colour"
+              onChange={e => setForm(f => ({ ...f, color: e.target.value }))}
+            />
+          </div>
+          <div className="opt-slider-row">
+            <span className="opt-slider-label">Cost</span>
+            <input
+              type="range" className="opt-slider" step={0.5}
+              min={CUSTOM_WEIGHT_RANGE.min} max={CUSTOM_WEIGHT_RANGE.max} value={form.weight}
+              onChange={e => setForm(f => ({ ...f, weight: parseFloat(e.target.value) }))}
+            />
+            <span className="opt-slider-val">×{form.weight}</span>
+          </div>
+          <button className="seg-btn" onClick={addTerrain}><Plus size={12} /> Add terrain</button>
+        </div>
+      )}
+      <div className="seg-toggle">
+        <button className="seg-btn" onClick={onUndo} disabled={disabled || !canUndo} title="Undo (Ctrl+Z)">
+          <Undo2 size={12} /> Undo
+        </button>
+        <button className="seg-btn" onClick={onRedo} disabled={disabled || !canRedo} title="Redo (Ctrl+Shift+Z)">
+          <Redo2 size={12} /> Redo
+        </button>
+      </div>
+      <div className="opt-hint">{PAINT_TOOL_INFO[tool].hint}</div>
+    </>
+  );
+};
+
+// ─── Layout Generator ─────────────────────────────────────────────────────────
+// Seeded mazes and cities; `onGenerate` returns how many walls it knocked through
+const LayoutGenerator = ({ onGenerate, disabled }) => {
+  const [form, setForm] = useState({ generator: 'backtracker', seed: '1', density: DENSITY_RANGE.default, reachable: true });
+  const [note, setNote] = useState(null); // { kind: 'ok' | 'error', text }
+  const set = patch => setForm(f => ({ ...f, ...patch }));
+
+  const generate = () => {
+    try {
+      const carved = onGenerate(form);
+      setNote({
+        kind: 'ok',
+        text: !form.reachable
+          ? `Seed ${form.seed}: End is walled in — no route exists`
+          : carved > 0 ? `Seed ${form.seed}: opened ${carved} wall${carved === 1 ? '' : 's'} to keep a route` : `Seed ${form.seed}`,
+      });
+    } catch (err) {
+      setNote({ kind: 'error', text: err.message });
+    }
+  };
+
+  return (
+    <>
+      <select
+        className="opt-select" value={form.generator} disabled={disabled}
+        onChange={e => set({ generator: e.target.value })}
+      >
+        {Object.entries(GENERATORS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+      <div className="region-form">
+        <div className="region-form-row">
+          <input
+            className="region-input" placeholder="Seed" value={form.seed} disabled={disabled} title="Same seed → same layout"
+            onChange={e => set({ seed: e.target.value })}
+          />
+          <button
+            className="seg-btn" title="Random seed" disabled={disabled}
+            onClick={() => set({ seed: String(Math.floor(Math.random() * 1e6)) })}
+          >
+            <Shuffle size={12} />
+          </button>
+        </div>
+        {form.generator === 'random' && (
+          <div className="opt-slider-row">
+            <span className="opt-slider-label">Density p</span>
+            <input
+              type="range" className="opt-slider" min={DENSITY_RANGE.min} max={DENSITY_RANGE.max} step={0.05}
+              value={form.density} disabled={disabled}
+              onChange={e => set({ density: parseFloat(e.target.value) })}
+            />
+            <span className="opt-slider-val">{form.density.toFixed(2)}</span>
+          </div>
+        )}
+        <div className="race-toggle-row" onClick={() => !disabled && set({ reachable: !form.reachable })}>
+          <div className={`toggle-pill ${form.reachable ? 'on' : ''}`}>
+            <div className="toggle-thumb" />
+          </div>
+          <span className="toggle-label">{form.reachable ? 'Guarantee a route' : 'No path (End walled in)'}</span>
+        </div>
+        <button className="seg-btn" onClick={generate} disabled={disabled || !form.seed.trim()}>
+          <Dices size={12} /> Generate
+        </button>
+      </div>
+      {note && <div className={`opt-hint ${note.kind === 'error' ? 'warn' : ''}`}>{note.text}</div>}
+    </>
+  );
+};
+
+// ─── Road Data Badge ──────────────────────────────────────────────────────────
+const ROAD_SOURCE_HINTS = {
+  loading: 'Fetching road data',
+  live: 'Road data fetched from the Overpass API',
+  cached: 'Road data from this browser\'s offline cache',
+  bundled: 'Road data from the OSM snapshot shipped with the app',
+  procedural: 'No road data available — using procedural weights',
+};
+
+const roadSourceTitle = ({ source, fetchedAt }) => (fetchedAt
+  ? `${ROAD_SOURCE_HINTS[source]} (${new Date(fetchedAt).toLocaleString()})`
+  : ROAD_SOURCE_HINTS[source]);
+
 // ─── Main App ─────────────────────────────────────────────────────────────────
 const App = () => {
+  const [region, setRegion] = useState(REGION_PRESETS[DEFAULT_REGION_ID]);
   const [roadData, setRoadData] = useState(null);
-  const [roadStatus, setRoadStatus] = useState('loading');
+  // Build the grid from OSM buildings/parks/water rather than the procedural city
+  const [osmTerrain, setOsmTerrain] = useState(true);
+  const osmTerrainRef = useRef(osmTerrain);
+  // Editable cost table behind every grid cell and street edge
+  const [weights, setWeights] = useState(DEFAULT_WEIGHTS);
+  const weightsRef = useRef(weights);
+  // Hour of departure; the grid and street graph are weighted with the traffic at that time
+  const [departure, setDeparture] = useState(DEFAULT_DEPARTURE);
+  const departureRef = useRef(departure);
+  // Who makes the trip (see ./travelProfiles): what they may enter, what it costs them, how fast they go
+  const [travelProfile, setTravelProfile] = useState(DEFAULT_PROFILE);
+  const travelProfileRef = useRef(travelProfile);
+  const traveller = TRAVEL_PROFILES[travelProfile];
+  // Last "Compare profiles" run: [{ id, route: analysis | null, spots }] in PROFILE_IDS order
+  const [profileRuns, setProfileRuns] = useState(null);
+  const timedWeights = useMemo(
+    () => travelWeights(weights, departure, TRAVEL_PROFILES[travelProfile]),
+    [weights, departure, travelProfile],
+  );
+  // Route of the last run before the weights changed, drawn dashed for comparison
+  const [priorRoute, setPriorRoute] = useState(null);
+  // True while the grid holds a loaded scenario's terrain — road data that
+  // arrives afterwards must not repaint it
+  const pinnedTerrainRef = useRef(false);
+  const regionRef = useRef(region);
+  // 'loading' | 'live' | 'cached' | 'bundled' | 'procedural'
+  const [roadSource, setRoadSource] = useState({ source: 'loading', fetchedAt: null });
+  // 'grid' searches the cell grid, 'graph' the OSM street graph itself
+  const [worldMode, setWorldMode] = useState('grid');
+  const [startPos, setStartPos] = useState(DEFAULT_START);
+  const [endPos, setEndPos] = useState(DEFAULT_END);
+  const [dragging, setDragging] = useState(null); // 'start' | 'end' | null
+  const [dragCell, setDragCell] = useState(null);
+  const [waypoints, setWaypoints] = useState([]);
+  const [waypointMode, setWaypointMode] = useState(false);
+  const [optimizeOrder, setOptimizeOrder] = useState(false);
+  const [tourLog, setTourLog] = useState(null);
   const [grid, setGrid] = useState(() => createInitialGrid(null));
-  const [isRunning, setIsRunning] = useState(false);
+  // Terrain editor: active tool, brush terrain key, drag in progress, undo stack
+  const [paintTool, setPaintTool] = useState('toggle');
+  const [brushKey, setBrushKey] = useState('BUILDING');
+  const [customTerrains, setCustomTerrains] = useState([]);
+  const [stroke, setStroke] = useState(null); // { tool, from, to, trail }
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  // Terrain of a loaded scenario or generated layout — what the eraser restores instead of the map
+  const [originalCells, setOriginalCells] = useState(null);
   const [algorithm, setAlgorithm] = useState('A*');
   const [raceMode, setRaceMode] = useState(false);
-  const [stats, setStats] = useState({ astarVisited: 0, bfsVisited: 0, astarPath: 0, bfsPath: 0, time: 0 });
+  const [racers, setRacers] = useState(DEFAULT_RACERS);
+  const [raceView, setRaceView] = useState('overlay'); // 'overlay' | 'split'
+  const [heuristic, setHeuristic] = useState(DEFAULT_HEURISTIC);
+  const [epsilon, setEpsilon] = useState(1);
+  const [movement, setMovement] = useState(4);
+  const [diagonalRule, setDiagonalRule] = useState('noSqueeze');
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [benchOpen, setBenchOpen] = useState(false);
+  const [benchSummary, setBenchSummary] = useState(null); // latest benchmark, quoted in the Learning Center
   const [flyPath, setFlyPath] = useState(null);
   const [isFlying, setIsFlying] = useState(false);
-  const [astarPathNodes, setAstarPathNodes] = useState([]);
-  const [bfsPathNodes, setBfsPathNodes] = useState([]);
+  const endFlight = useCallback(() => setIsFlying(false), []);
+
+  // Playback: a finished search is replayed frame by frame from `timeline`
+  const [timeline, setTimeline] = useState(null);
+  const [frame, setFrame] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const frameCount = timeline ? timeline.frames.length : 0;
+  const isComplete = timeline !== null && frame >= frameCount;
+  // A search still in its worker, or a loaded timeline that has not reached
+  // its end — playing or paused — locks editing
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const searchRef = useRef(null); // { promise, cancel } of the search in flight
+  // Agent drive: { agent, route, trail, replans, status: 'driving' | 'blocked' | 'arrived' }
+  // — the D* Lite planner itself is mutable and lives in plannerRef
+  const [drive, setDrive] = useState(null);
+  const [compareReplans, setCompareReplans] = useState(true);
+  const plannerRef = useRef(null);
+  const driving = drive !== null && drive.status !== 'arrived';
+  const isRunning = searching || driving || (timeline !== null && !isComplete);
+
+  const roadGraph = useMemo(() => buildRoadGraph(roadData, timedWeights, { oneway: traveller.oneway }), [roadData, timedWeights, traveller]);
+  const graphMode = worldMode === 'graph' && roadGraph !== null;
+  const graphSpots = useMemo(
+    () => (roadGraph ? roadGraph.nodes.map(n => geoSpot(n, roadData.bounds)) : []),
+    [roadGraph, roadData],
+  );
+  // Grid heuristics mean nothing on lat/lng nodes (and vice versa) — fall back to the world's default
+  const worldName = graphMode ? 'graph' : 'grid';
+  const worldHeuristic = key => (HEURISTICS[key].worlds.includes(worldName)
+    ? key
+    : graphMode ? DEFAULT_GRAPH_HEURISTIC : DEFAULT_HEURISTIC);
+  const activeHeuristic = worldHeuristic(heuristic);
+  const racerLanes = racers.map(({ alg, heuristic: key }, lane) => ({
+    alg, heuristic: worldHeuristic(key), label: racerLabel({ alg, heuristic: worldHeuristic(key) }), palette: LANE_PALETTES[lane],
+  }));
+  // What "Find Route" searches: one lane per racer, or the chosen algorithm alone
+  const plannedLanes = raceMode
+    ? racerLanes
+    : [{ alg: algorithm, heuristic: activeHeuristic, label: algorithm, palette: singlePalette(algorithm) }];
+  const heuristicOptions = Object.entries(HEURISTICS)
+    .filter(([, { worlds }]) => worlds.includes(worldName))
+    .map(([key, { label }]) => <option key={key} value={key}>{label}</option>);
+  // A heuristic in use that overestimates diagonal moves, if any
+  const overestimating = plannedLanes.find(
+    ({ alg, heuristic: key }) => ALGORITHMS[alg].usesHeuristic && !HEURISTICS[key].admissible8,
+  )?.heuristic;
+  // Whether the chosen heuristic never overestimates with the current movement
+  const heuristicAdmissible = movement === 4 || HEURISTICS[activeHeuristic].admissible8;
+  // D* Lite has no ε and needs an admissible heuristic to keep its repairs optimal
+  const driveOptions = {
+    heuristic: heuristicAdmissible ? activeHeuristic : 'octile',
+    movement, diagonalRule,
+  };
+
+  const terrainOf = useCallback(
+    key => TERRAIN[key] ?? customTerrains.find(t => t.key === key),
+    [customTerrains],
+  );
+
+  // What the eraser paints back: the loaded scenario, else the map as generated.
+  // Only the cells under the current markers are kept open, not the default ones.
+  const originalGrid = useMemo(() => {
+    if (paintTool !== 'eraser') return null;
+    return originalCells
+      ? gridFromCells(originalCells, startPos, endPos, terrainOf, timedWeights)
+      : createInitialGrid(roadData, startPos, endPos, osmTerrain, timedWeights);
+  }, [paintTool, originalCells, startPos, endPos, terrainOf, roadData, osmTerrain, timedWeights]);
+
+  // The grid as it would look if the stroke in progress were released now
+  const strokePreview = useMemo(() => {
+    if (!stroke) return null;
+    const brush = terrainOf(brushKey);
+    return paintCells(grid, strokeCells(stroke), stroke.tool === 'eraser'
+      ? ({ row, col }) => originalGrid[row][col]
+      : () => ({ terrain: brush, weight: cellWeight({ terrain: brush, roadTypes: [] }, timedWeights) }));
+  }, [stroke, grid, brushKey, terrainOf, originalGrid, timedWeights]);
+
+  // The grid under the cell meshes: as searched while a run is loaded —
+  // playback then only flips per-cell flags — else as edited. Graph runs
+  // leave the grid untouched (baseGrid is null).
+  const shownGrid = timeline?.baseGrid ?? strokePreview ?? grid;
+  const cellFrames = timeline?.baseGrid ? timeline.frames : NO_FRAMES;
+
+  const stats = useMemo(() => {
+    if (!timeline) return EMPTY_STATS;
+    return {
+      ...EMPTY_STATS,
+      ...countFrames(timeline.frames, frame, timeline.lanes.length),
+      time: timeline.time,
+      ...(isComplete ? timeline.result.stats : {}),
+    };
+  }, [timeline, frame, isComplete]);
+
+  const lanes = timeline?.lanes ?? plannedLanes;
+  // A loaded race in split view hides the main scene behind one pane per racer
+  const splitView = raceView === 'split' && timeline !== null && timeline.lanes.length > 1;
+  const currentFrame = timeline && frame > 0 ? timeline.frames[frame - 1] : null;
+
+  const [hoverCell, setHoverCell] = useState(null);
+  const onCellHover = useCallback((row, col) => {
+    setHoverCell(prev => {
+      if (row === null) return null;
+      return prev && prev.row === row && prev.col === col ? prev : { row, col };
+    });
+    if (row === null) return;
+    // A held brush/eraser fills in every cell between two pointer samples
+    setStroke(prev => {
+      if (!prev || samePos(prev.to, { row, col })) return prev;
+      const trail = [...prev.trail, ...lineCells(prev.to, { row, col }).slice(1)];
+      return { ...prev, to: { row, col }, trail };
+    });
+  }, []);
+
+  const inspectorEvents = useMemo(
+    () => (timeline ? lastExpansion(timeline.frames, frame) : []),
+    [timeline, frame],
+  );
+  const hoverEntries = useMemo(() => {
+    if (!timeline || !hoverCell) return null;
+    return timeline.lanes.map(({ label, palette }, lane) => ({
+      label, lane, color: palette.color, info: inspectCell(timeline.frames, frame, lane, hoverCell.row, hoverCell.col),
+    }));
+  }, [timeline, frame, hoverCell]);
 
   useEffect(() => {
-    fetchRoadNetwork().then(roads => {
-      if (roads && roads.length > 0) {
-        setRoadData(roads);
-        setRoadStatus('loaded');
-        setGrid(createInitialGrid(roads));
-      } else {
-        setRoadStatus('failed');
+    if (!timeline || !playing || frame >= timeline.frames.length) return;
+    const id = setTimeout(() => {
+      const next = frame + 1;
+      setFrame(next);
+      if (next === timeline.frames.length) {
+        setPlaying(false);
+        if (timeline.result.flyPath.length > 1) { setFlyPath(timeline.result.flyPath); setIsFlying(true); }
       }
-    });
+    }, timeline.frames[frame].delay / speed);
+    return () => clearTimeout(id);
+  }, [timeline, playing, frame, speed]);
+
+  // Closing the app mid-search must not leave the worker spinning
+  useEffect(() => () => searchRef.current?.cancel(), []);
+
+  const clearRun = useCallback(() => {
+    setTimeline(null);
+    setProfileRuns(null);
+    setDrive(null);
+    plannerRef.current = null;
+    setPriorRoute(null);
+    setFrame(0);
+    setPlaying(false);
+    setIsFlying(false); setFlyPath(null);
   }, []);
 
-  const startX = 2 * STEP - OFFSET + NODE_SIZE / 2;
-  const startZ = 2 * STEP - OFFSET + NODE_SIZE / 2;
-  const endX = (GRID_SIZE - 3) * STEP - OFFSET + NODE_SIZE / 2;
-  const endZ = (GRID_SIZE - 3) * STEP - OFFSET + NODE_SIZE / 2;
+  const togglePlay = () => {
+    if (!timeline) return;
+    if (isComplete) { setFrame(0); setPlaying(true); return; }
+    setPlaying(p => !p);
+  };
+  const stepFrame = delta => {
+    setPlaying(false);
+    setFrame(f => Math.min(frameCount, Math.max(0, f + delta)));
+  };
+  const scrubTo = value => {
+    setPlaying(false);
+    setFrame(value);
+  };
+
+  useEffect(() => {
+    // A slow response for a region the user has already left must not land on the new one
+    let stale = false;
+    fetchRoadNetwork(region).then(({ network, source, fetchedAt }) => {
+      if (stale) return;
+      setRoadSource({ source, fetchedAt });
+      if (network) {
+        setRoadData(network);
+        if (pinnedTerrainRef.current) return;
+        setGrid(prev => createInitialGrid(
+          network, findFlag(prev, 'isStart'), findFlag(prev, 'isEnd'), osmTerrainRef.current,
+          travelWeights(weightsRef.current, departureRef.current, TRAVEL_PROFILES[travelProfileRef.current]),
+        ));
+        setHistory(EMPTY_HISTORY);
+      }
+    });
+    return () => { stale = true; };
+  }, [region]);
+
+  const landmarks = useMemo(() => regionLandmarks(region, GRID_SIZE, DEFAULT_START, DEFAULT_END), [region]);
+  const kmPerCell = kmPerNode(region, GRID_SIZE);
+  const startCoords = markerCoords(startPos, DEFAULT_START, landmarks.start, region.bounds);
+  const endCoords = markerCoords(endPos, DEFAULT_END, landmarks.end, region.bounds);
+  const straightKm = haversineKm(startCoords.lat, startCoords.lng, endCoords.lat, endCoords.lng);
+
+  const toggleOsmTerrain = () => {
+    if (isRunning || !roadData) return;
+    const next = !osmTerrain;
+    setOsmTerrain(next);
+    osmTerrainRef.current = next;
+    pinnedTerrainRef.current = false;
+    const fresh = createInitialGrid(roadData, startPos, endPos, next, timedWeights);
+    setGrid(fresh);
+    setHistory(EMPTY_HISTORY);
+    setOriginalCells(null);
+    setWaypoints(prev => prev.filter(w => !fresh[w.row][w.col].isWall));
+    setTourLog(null);
+    clearRun();
+  };
+
+  const selectWorldMode = mode => {
+    if (isRunning || (mode === 'graph' && !roadGraph)) return;
+    setWorldMode(mode);
+    clearRun();
+  };
+
+  // Switching town starts over: procedural grid until its roads load, markers back home
+  const selectRegion = next => {
+    if (isRunning) return;
+    regionRef.current = next;
+    pinnedTerrainRef.current = false;
+    setRegion(next);
+    setRoadData(null);
+    setRoadSource({ source: 'loading', fetchedAt: null });
+    setStartPos(DEFAULT_START);
+    setEndPos(DEFAULT_END);
+    setGrid(createInitialGrid(null, DEFAULT_START, DEFAULT_END, false, timedWeights));
+    setHistory(EMPTY_HISTORY);
+    setOriginalCells(null);
+    setWaypoints([]);
+    setTourLog(null);
+    clearRun();
+  };
+
+  // While dragging, the held marker follows the hovered cell
+  const startView = dragging === 'start' && dragCell ? dragCell : startPos;
+  const endView = dragging === 'end' && dragCell ? dragCell : endPos;
+
+  const grabMarker = which => {
+    if (isRunning) return;
+    setDragging(which);
+    setDragCell(null);
+  };
+
+  // Releasing over the HTML panels never reaches the drag plane — cancel instead
+  useEffect(() => {
+    if (!dragging) return;
+    const cancel = e => {
+      if (e.target.tagName === 'CANVAS') return;
+      setDragging(null);
+      setDragCell(null);
+    };
+    window.addEventListener('pointerup', cancel);
+    return () => window.removeEventListener('pointerup', cancel);
+  }, [dragging]);
+
+  const hoverMarker = cell => {
+    if (grid[cell.row]?.[cell.col]) setDragCell(cell);
+  };
+
+  // Drop only on a non-wall cell that the other marker does not occupy;
+  // anything else snaps the marker back to where it was picked up.
+  const dropMarker = cell => {
+    const which = dragging;
+    setDragging(null);
+    setDragCell(null);
+    const node = grid[cell.row]?.[cell.col];
+    const other = which === 'start' ? endPos : startPos;
+    if (!node || node.isWall || samePos(cell, other) || waypoints.some(w => samePos(w, cell))) return;
+
+    if (which === 'start') setStartPos(cell); else setEndPos(cell);
+    setGrid(prev => prev.map(r => r.map(n => ({
+      ...n,
+      isStart: which === 'start' ? samePos(n, cell) : n.isStart,
+      isEnd: which === 'end' ? samePos(n, cell) : n.isEnd,
+    }))));
+    clearRun();
+  };
+
+  // Every terrain edit goes through here so it can be undone
+  const editGrid = useCallback(next => {
+    setHistory(h => pushHistory(h, grid));
+    setGrid(next);
+    // A cell that just became a building can no longer be a stop
+    setWaypoints(prev => prev.filter(w => !next[w.row][w.col].isWall));
+    setTourLog(null);
+    clearRun();
+  }, [grid, clearRun]);
+
+  // A building becomes road; anything else becomes a building
+  const toggleWallPaint = useCallback(node => {
+    if (node.isWall) return { terrain: TERRAIN.ROAD, weight: timedWeights.terrain.ROAD };
+    return { terrain: (node.row + node.col) % 2 === 0 ? TERRAIN.TOWER : TERRAIN.BUILDING, weight: Infinity };
+  }, [timedWeights]);
 
   const onToggleWall = useCallback((row, col) => {
     if (isRunning) return;
-    setGrid(prev => {
-      const next = prev.map(r => r.map(n => ({ ...n })));
-      const node = next[row][col];
-      if (node.isStart || node.isEnd) return prev;
-      if (node.isWall) {
-        node.isWall = false; node.terrain = TERRAIN.ROAD; node.weight = TERRAIN.ROAD.weight;
-      } else {
-        const t = (node.row + node.col) % 2 === 0 ? TERRAIN.TOWER : TERRAIN.BUILDING;
-        node.isWall = true; node.terrain = t; node.weight = Infinity;
-      }
-      return next;
+    editGrid(paintCells(grid, [{ row, col }], toggleWallPaint));
+  }, [grid, isRunning, editGrid, toggleWallPaint]);
+
+  // Agent drive: a click drops or removes a building and D* Lite repairs the
+  // plan from where the vehicle stands. Not routed through editGrid, which
+  // would end the drive — but still one undo step.
+  const dropObstacle = (row, col) => {
+    if (samePos(drive.agent, { row, col })) return;
+    const next = paintCells(grid, [{ row, col }], toggleWallPaint);
+    const cell = next[row][col];
+    if (cell === grid[row][col]) return;
+    setHistory(h => pushHistory(h, grid));
+    setGrid(next);
+    setWaypoints(prev => prev.filter(w => !next[w.row][w.col].isWall));
+
+    const planner = plannerRef.current;
+    planner.updateCells([{ row, col, weight: cell.weight, isWall: cell.isWall }]);
+    const dstar = planner.computePath().length;
+    const route = planner.path();
+    const astar = compareReplans ? fullReplanExpansions(next, drive.agent, endPos, driveOptions) : null;
+    setDrive(d => ({
+      ...d,
+      route,
+      status: route.length > 0 ? 'driving' : 'blocked',
+      replans: [...d.replans, { step: d.trail.length - 1, cell: { row, col }, wall: cell.isWall, dstar, astar }],
+    }));
+  };
+
+  const startDrive = () => {
+    if (isRunning || graphMode) return;
+    clearRun();
+    const planner = new DStarLite(grid, startPos, endPos, driveOptions);
+    plannerRef.current = planner;
+    const dstar = planner.computePath().length;
+    const route = planner.path();
+    const astar = compareReplans ? fullReplanExpansions(grid, startPos, endPos, driveOptions) : null;
+    setDrive({
+      agent: startPos,
+      route,
+      trail: [startPos],
+      status: route.length > 0 ? 'driving' : 'blocked',
+      replans: [{ step: 0, cell: null, wall: false, dstar, astar }],
+    });
+  };
+
+  // One cell along the current plan per tick, at the playback speed
+  useEffect(() => {
+    if (drive?.status !== 'driving') return;
+    const id = setTimeout(() => {
+      const next = drive.route[1];
+      plannerRef.current.moveTo(next);
+      setDrive(d => ({
+        ...d,
+        agent: next,
+        route: d.route.slice(1),
+        trail: [...d.trail, next],
+        status: samePos(next, endPos) ? 'arrived' : 'driving',
+      }));
+    }, DRIVE_STEP_MS / speed);
+    return () => clearTimeout(id);
+  }, [drive, endPos, speed]);
+
+  // Waypoint mode: click a road cell to append a stop, click a stop to remove it
+  const toggleWaypoint = useCallback((row, col) => {
+    if (isRunning) return;
+    const node = grid[row][col];
+    if (node.isWall || node.isStart || node.isEnd) return;
+    setWaypoints(prev => (prev.some(w => samePos(w, node))
+      ? prev.filter(w => !samePos(w, node))
+      : [...prev, { row, col }]));
+    setTourLog(null);
+    clearRun();
+  }, [grid, isRunning, clearRun]);
+
+  // Pointer down on a cell: toggle acts at once, the other tools start a stroke
+  const onCellPress = (row, col) => {
+    if (driving) { dropObstacle(row, col); return; }
+    if (isRunning) return;
+    if (waypointMode) { toggleWaypoint(row, col); return; }
+    if (paintTool === 'toggle') { onToggleWall(row, col); return; }
+    clearRun();
+    setStroke({ tool: paintTool, from: { row, col }, to: { row, col }, trail: [{ row, col }] });
+  };
+
+  // Releasing the pointer anywhere commits the stroke as one undo step
+  useEffect(() => {
+    if (!stroke) return;
+    const onUp = () => {
+      editGrid(strokePreview);
+      setStroke(null);
+    };
+    window.addEventListener('pointerup', onUp);
+    return () => window.removeEventListener('pointerup', onUp);
+  }, [stroke, strokePreview, editGrid]);
+
+  const stepHistory = useCallback(step => {
+    if (isRunning) return;
+    const result = step(history, grid);
+    if (!result) return;
+    setHistory(result.history);
+    // Layers keep the weights they were saved with; price them at today's table and traffic
+    setGrid(reweightGrid(result.grid, timedWeights));
+    setWaypoints(prev => prev.filter(w => !result.grid[w.row][w.col].isWall));
+    setTourLog(null);
+    clearRun();
+  }, [history, grid, timedWeights, isRunning, clearRun]);
+
+  // Ctrl/⌘+Z undoes, Ctrl/⌘+Shift+Z or Ctrl+Y redoes — except while typing in a field
+  useEffect(() => {
+    const onKey = e => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, select, textarea')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) stepHistory(undo);
+      else if ((key === 'z' && e.shiftKey) || key === 'y') stepHistory(redo);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [stepHistory]);
+
+  const addCustomTerrain = ({ label, weight, color }) => {
+    const used = new Set(customTerrains.map(t => t.key));
+    const n = Array.from({ length: MAX_CUSTOM_TERRAINS }, (_, i) => i + 1).find(i => !used.has(customTerrainKey(i)));
+    if (!n) return;
+    const terrain = makeCustomTerrain({ key: customTerrainKey(n), label, weight, color });
+    setCustomTerrains(prev => [...prev, terrain]);
+    setBrushKey(terrain.key);
+    if (paintTool === 'toggle' || paintTool === 'eraser') setPaintTool('brush');
+  };
+
+  // Replaces the terrain with a seeded layout around the current markers (undoable)
+  const generateMap = ({ generator, seed, density, reachable }) => {
+    const { cells, carved } = generateLayout({
+      generator, seed: seedFrom(seed), size: GRID_SIZE, start: startPos, end: endPos, density, reachable,
     });
-  }, [isRunning]);
+    pinnedTerrainRef.current = true;
+    setOriginalCells(cells);
+    editGrid(gridFromCells(cells, startPos, endPos, terrainOf, timedWeights));
+    return carved;
+  };
 
+  // Undoable: brings back the map's own terrain, keeping markers and stops that still fit
+  // Pressed mid-search it cancels the search first, mid-drive it ends the drive
   const resetGrid = () => {
-    setGrid(createInitialGrid(roadData));
-    setStats({ astarVisited: 0, bfsVisited: 0, astarPath: 0, bfsPath: 0, time: 0 });
-    setAstarPathNodes([]); setBfsPathNodes([]);
-    setIsFlying(false); setFlyPath(null);
+    if (searching) {
+      searchRef.current.cancel();
+      searchRef.current = null;
+      setSearching(false);
+    } else if (driving) {
+      clearRun();
+    } else if (isRunning) {
+      return;
+    }
+    pinnedTerrainRef.current = false;
+    setOriginalCells(null);
+    editGrid(createInitialGrid(roadData, startPos, endPos, osmTerrain, timedWeights));
+  };
+
+  // Re-prices every cell (and street edge, via roadGraph) in place; the last
+  // route stays on screen dashed so a re-run shows how it shifts
+  const reprice = (nextWeights, hour, profileId) => {
+    const route = timeline?.result.flyPath ?? priorRoute;
+    setGrid(prev => reweightGrid(prev, travelWeights(nextWeights, hour, TRAVEL_PROFILES[profileId])));
+    setTourLog(null);
+    clearRun();
+    if (route?.length > 1) setPriorRoute(route);
   };
 
-  const runSimulation = async () => {
+  const changeWeights = next => {
     if (isRunning) return;
-    setIsRunning(true);
-    setAstarPathNodes([]); setBfsPathNodes([]);
-
-    const makeClean = () => grid.map(r => r.map(n => ({
-      ...n, isVisited: false, isPath: false, bfsVisited: false, bfsPath: false,
-      distance: Infinity, previousNode: null, totalCost: Infinity, heuristic: 0,
-    })));
-
-    const t0 = performance.now();
-
-    if (raceMode) {
-      const gridA = makeClean(), gridB = makeClean();
-      setGrid(makeClean());
-      const aVis = astar(gridA, gridA[2][2], gridA[GRID_SIZE - 3][GRID_SIZE - 3]);
-      const bVis = bfs(gridB, gridB[2][2], gridB[GRID_SIZE - 3][GRID_SIZE - 3]);
-      const aPath = getNodesInShortestPathOrder(gridA[GRID_SIZE - 3][GRID_SIZE - 3]);
-      const bPath = getNodesInShortestPathOrder(gridB[GRID_SIZE - 3][GRID_SIZE - 3]);
-      const maxLen = Math.max(aVis.length, bVis.length);
-
-      for (let i = 0; i < maxLen; i++) {
-        await new Promise(r => setTimeout(r, 9));
-        setGrid(prev => {
-          const next = prev.map(r => [...r]);
-          if (i < aVis.length) { const n = aVis[i]; next[n.row][n.col] = { ...next[n.row][n.col], isVisited: true }; }
-          if (i < bVis.length) { const n = bVis[i]; next[n.row][n.col] = { ...next[n.row][n.col], bfsVisited: true }; }
-          return next;
-        });
-        setStats(s => ({ ...s, astarVisited: Math.min(i + 1, aVis.length), bfsVisited: Math.min(i + 1, bVis.length) }));
-      }
-      for (let i = 0; i < Math.max(aPath.length, bPath.length); i++) {
-        await new Promise(r => setTimeout(r, 20));
-        setGrid(prev => {
-          const next = prev.map(r => [...r]);
-          if (i < aPath.length) { const n = aPath[i]; next[n.row][n.col] = { ...next[n.row][n.col], isPath: true }; }
-          if (i < bPath.length) { const n = bPath[i]; next[n.row][n.col] = { ...next[n.row][n.col], bfsPath: true }; }
-          return next;
-        });
-        setStats(s => ({ ...s, astarPath: Math.min(i + 1, aPath.length), bfsPath: Math.min(i + 1, bPath.length), time: Math.round(performance.now() - t0) }));
-      }
-      setAstarPathNodes(aPath); setBfsPathNodes(bPath);
-      setFlyPath(aPath); setIsFlying(true);
+    setWeights(next);
+    weightsRef.current = next;
+    reprice(next, departure, travelProfile);
+  };
 
-    } else {
-      const cg = makeClean();
-      setGrid(cg);
-      const vis = algorithm === 'BFS'
-        ? bfs(cg, cg[2][2], cg[GRID_SIZE - 3][GRID_SIZE - 3])
-        : astar(cg, cg[2][2], cg[GRID_SIZE - 3][GRID_SIZE - 3]);
-      const path = getNodesInShortestPathOrder(cg[GRID_SIZE - 3][GRID_SIZE - 3]);
-
-      for (let i = 0; i < vis.length; i++) {
-        await new Promise(r => setTimeout(r, 7));
-        const n = vis[i];
-        setGrid(prev => {
-          const next = prev.map(r => [...r]);
-          if (algorithm === 'BFS') next[n.row][n.col] = { ...next[n.row][n.col], bfsVisited: true };
-          else next[n.row][n.col] = { ...next[n.row][n.col], isVisited: true };
-          return next;
-        });
-        setStats(s => ({ ...s, astarVisited: algorithm === 'A*' ? i + 1 : 0, bfsVisited: algorithm === 'BFS' ? i + 1 : 0 }));
-      }
+  // The table stays, the traffic on it changes
+  const changeDeparture = hour => {
+    if (isRunning) return;
+    setDeparture(hour);
+    departureRef.current = hour;
+    reprice(weights, hour, travelProfile);
+  };
 
-      if (path.length > 1 && path[path.length - 1].isEnd) {
-        for (let i = 0; i < path.length; i++) {
-          await new Promise(r => setTimeout(r, 22));
-          const n = path[i];
-          setGrid(prev => {
-            const next = prev.map(r => [...r]);
-            if (algorithm === 'BFS') next[n.row][n.col] = { ...next[n.row][n.col], bfsPath: true };
-            else next[n.row][n.col] = { ...next[n.row][n.col], isPath: true };
-            return next;
-          });
-          setStats(s => ({ ...s, astarPath: algorithm === 'A*' ? i + 1 : 0, bfsPath: algorithm === 'BFS' ? i + 1 : 0, time: Math.round(performance.now() - t0) }));
-        }
-        if (algorithm === 'A*') setAstarPathNodes(path); else setBfsPathNodes(path);
-        setFlyPath(path); setIsFlying(true);
-      }
+  // The table stays, who travels on it changes
+  const changeTravelProfile = id => {
+    if (isRunning) return;
+    setTravelProfile(id);
+    travelProfileRef.current = id;
+    reprice(weights, departure, id);
+  };
+
+  // ── Race roster: each racer an algorithm with its own heuristic ──
+  // A new racer takes the first algorithm not yet racing and the panel's heuristic
+  const addRacer = () => setRacers(list => [
+    ...list,
+    { alg: ALGORITHM_IDS.find(alg => !list.some(r => r.alg === alg)) ?? 'A*', heuristic },
+  ]);
+  const updateRacer = (lane, change) => setRacers(list => list.map((r, i) => (i === lane ? { ...r, ...change } : r)));
+  const removeRacer = lane => setRacers(list => list.filter((_, i) => i !== lane));
+
+  // ── Scenarios: save to / load from a JSON file, share as a URL hash ──
+  const [scenarioNote, setScenarioNote] = useState(null); // { kind: 'ok' | 'error', text }
+  const fileInputRef = useRef(null);
+
+  // Takes the output of parseScenario. Only a different region triggers a
+  // road refetch; the scenario's own terrain stays on the grid either way.
+  const applyScenario = useCallback(({ region: next, cells, customTerrains: types, start, end, waypoints: stops, settings }) => {
+    const current = regionRef.current;
+    const sameRegion = next.id === current.id
+      && (next.id !== 'custom' || ['north', 'south', 'east', 'west'].every(k => next.bounds[k] === current.bounds[k]));
+    if (!sameRegion) {
+      regionRef.current = next;
+      setRegion(next);
+      setRoadData(null);
+      setRoadSource({ source: 'loading', fetchedAt: null });
     }
-    setIsRunning(false);
+    pinnedTerrainRef.current = true;
+    const custom = types.map(makeCustomTerrain);
+    const lookup = key => TERRAIN[key] ?? custom.find(t => t.key === key);
+    setCustomTerrains(custom);
+    setGrid(gridFromCells(cells, start, end, lookup, travelWeights(settings.weights, settings.departure, TRAVEL_PROFILES[settings.travelProfile])));
+    setOriginalCells(cells);
+    setHistory(EMPTY_HISTORY);
+    setStartPos(start);
+    setEndPos(end);
+    setWaypoints(stops);
+    setAlgorithm(settings.algorithm);
+    setHeuristic(settings.heuristic);
+    setEpsilon(settings.epsilon);
+    setMovement(settings.movement);
+    setDiagonalRule(settings.diagonalRule);
+    setRaceMode(settings.raceMode);
+    setRacers(settings.racers);
+    setOptimizeOrder(settings.optimizeOrder);
+    setWorldMode(settings.worldMode);
+    setOsmTerrain(settings.osmTerrain);
+    osmTerrainRef.current = settings.osmTerrain;
+    setWeights(settings.weights);
+    weightsRef.current = settings.weights;
+    setDeparture(settings.departure);
+    departureRef.current = settings.departure;
+    setTravelProfile(settings.travelProfile);
+    travelProfileRef.current = settings.travelProfile;
+    setTourLog(null);
+    clearRun();
+  }, [clearRun]);
+
+  const currentScenario = () => createScenario({
+    region,
+    cells: grid.map(r => r.map(n => ({ terrain: n.terrain.key, weight: n.weight }))),
+    customTerrains,
+    start: startPos,
+    end: endPos,
+    waypoints,
+    settings: {
+      algorithm, heuristic, epsilon, movement, diagonalRule, raceMode, racers, optimizeOrder, worldMode, osmTerrain, weights,
+      departure, travelProfile,
+    },
+  });
+
+  const downloadScenario = () => {
+    const filename = `pathfinder-${region.id}.json`;
+    downloadText(JSON.stringify(currentScenario(), null, 2), filename, 'application/json');
+    setScenarioNote({ kind: 'ok', text: `Saved ${filename}` });
+  };
+
+  const loadScenarioFile = e => {
+    const [file] = e.target.files;
+    // Clear the picker so choosing the same file again still fires onChange
+    e.target.value = '';
+    if (!file) return;
+    file.text()
+      .then(text => {
+        applyScenario(parseScenario(JSON.parse(text), GRID_SIZE));
+        setScenarioNote({ kind: 'ok', text: `Loaded ${file.name}` });
+      })
+      .catch(err => setScenarioNote({
+        kind: 'error',
+        text: err instanceof SyntaxError ? `${file.name} is not valid JSON` : err.message,
+      }));
+  };
+
+  const shareScenario = () => {
+    encodeScenarioHash(currentScenario())
+      .then(hash => {
+        window.history.replaceState(null, '', hash);
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(window.location.href) : Promise.reject();
+        return copied.then(() => 'Share link copied to the clipboard', () => 'Share link is in the address bar');
+      })
+      .then(text => setScenarioNote({ kind: 'ok', text }))
+      .catch(err => setScenarioNote({ kind: 'error', text: `Could not create a share link: ${err.message}` }));
+  };
+
+  // A share link (#scenario=…) loads on start-up and whenever the hash changes
+  useEffect(() => {
+    const loadFromHash = () => {
+      decodeScenarioHash(window.location.hash)
+        .then(data => {
+          if (!data) return;
+          applyScenario(parseScenario(data, GRID_SIZE));
+          setScenarioNote({ kind: 'ok', text: 'Loaded the scenario from the link' });
+        })
+        .catch(err => setScenarioNote({ kind: 'error', text: err.message }));
+    };
+    loadFromHash();
+    window.addEventListener('hashchange', loadFromHash);
+    return () => window.removeEventListener('hashchange', loadFromHash);
+  }, [applyScenario]);
+
+  // Solves the whole route up front (with a per-step trace) in a worker, then
+  // hands the result to the playback timeline. Nothing is animated here.
+  // Graph mode searches the street graph, from the street nodes nearest to each marker
+  const searchStops = graph => (graphMode
+    ? [
+      markerCoords(startPos, DEFAULT_START, landmarks.start, region.bounds),
+      ...waypoints.map(w => gridToLatLng(w.row, w.col, GRID_SIZE, region.bounds)),
+      markerCoords(endPos, DEFAULT_END, landmarks.end, region.bounds),
+    ].map(({ lat, lng }) => ({ id: graph.nearestNode(lat, lng).id }))
+    : [startPos, ...waypoints, endPos]);
+
+  const runSimulation = () => {
+    if (isRunning) return;
+    setIsFlying(false); setFlyPath(null);
+    setSearchError(null);
+
+    const stops = searchStops(roadGraph);
+    const indexOf = stop => (graphMode ? stop.id : stop.row * GRID_SIZE + stop.col);
+    const nodeAt = index => (graphMode ? roadGraph.nodes[index] : grid[Math.floor(index / GRID_SIZE)][index % GRID_SIZE]);
+    const analyze = path => (graphMode
+      ? analyzeGraphRoute(path, roadGraph, departure, traveller)
+      : analyzeRoute(path, kmPerCell, departure, traveller, timedWeights));
+    const toSpots = path => (graphMode ? path.map(n => graphSpots[n.id]) : path.map(cellSpot));
+
+    const job = startSearch({
+      world: graphMode ? packGraph(roadGraph) : packGrid(grid),
+      stops,
+      // Every racer searches its own clean copy of the world, with its own heuristic
+      algorithms: plannedLanes.map(({ alg, heuristic: key }) => ({ alg, options: { heuristic: key } })),
+      // Optional TSP step: the worker reorders the waypoints by the first racer's leg costs
+      orderBy: optimizeOrder && waypoints.length > 1 ? plannedLanes[0].alg : null,
+      // Step logs for the playback timeline and the inspector
+      trace: true,
+      options: { heuristic: activeHeuristic, weight: epsilon, movement, diagonalRule },
+    });
+    searchRef.current = job;
+    setSearching(true);
+
+    job.promise
+      .then(({ stops: searched, tour, optimalCost, time, runs: solved }) => {
+        if (searchRef.current !== job) return;
+        if (tour) {
+          setWaypoints(tour.order.map(idx => waypoints[idx - 1]));
+          setTourLog(tour);
+        }
+        const stopIndices = searched.map(indexOf);
+        const runs = solved.map(({ visited, parents, trace }) => ({
+          visited: Array.from(visited, nodeAt), path: routeFromParents(parents, stopIndices, nodeAt), trace,
+        }));
+
+        setTimeline({
+          baseGrid: graphMode ? null : grid,
+          frames: buildTimeline(runs),
+          lanes: plannedLanes.map((lane, i) => ({ ...lane, time: solved[i].time })),
+          palettes: plannedLanes.map(lane => lane.palette),
+          stops: graphMode ? stopIndices : [],
+          time,
+          result: {
+            paths: runs.map(run => toSpots(run.path)),
+            flyPath: toSpots(runs[0].path),
+            stats: { routes: runs.map(run => analyze(run.path)), optimalCost },
+          },
+        });
+        setFrame(0);
+        setPlaying(true);
+      })
+      .catch(err => {
+        if (searchRef.current === job) setSearchError(err.message);
+      })
+      .finally(() => {
+        if (searchRef.current !== job) return;
+        searchRef.current = null;
+        setSearching(false);
+      });
+  };
+
+  // Searches the same stops once per travel profile, each on the world as
+  // that traveller sees it, with the chosen algorithm and stops in the order placed
+  const compareProfiles = () => {
+    if (isRunning) return;
+    clearRun();
+    setIsFlying(false); setFlyPath(null);
+    setSearchError(null);
+
+    const searches = PROFILE_IDS.map(id => {
+      const profile = TRAVEL_PROFILES[id];
+      const table = travelWeights(weights, departure, profile);
+      const graph = graphMode ? buildRoadGraph(roadData, table, { oneway: profile.oneway }) : null;
+      const world = graphMode ? graph : reweightGrid(grid, table);
+      const stops = searchStops(graph);
+      const nodeAt = index => (graphMode ? graph.nodes[index] : world[Math.floor(index / GRID_SIZE)][index % GRID_SIZE]);
+      const job = startSearch({
+        world: graphMode ? packGraph(graph) : packGrid(world),
+        stops,
+        algorithms: [algorithm],
+        options: { heuristic: activeHeuristic, weight: epsilon, movement, diagonalRule },
+      });
+      const promise = job.promise.then(({ stops: searched, runs: [run] }) => {
+        const path = routeFromParents(run.parents, searched.map(s => (graphMode ? s.id : s.row * GRID_SIZE + s.col)), nodeAt);
+        return {
+          id,
+          route: graphMode ? analyzeGraphRoute(path, graph, departure, profile) : analyzeRoute(path, kmPerCell, departure, profile, table),
+          spots: graphMode ? path.map(n => graphSpots[n.id]) : path.map(cellSpot),
+        };
+      });
+      return { promise, cancel: job.cancel };
+    });
+    const job = {
+      promise: Promise.all(searches.map(s => s.promise)),
+      cancel: () => searches.forEach(s => s.cancel()),
+    };
+    searchRef.current = job;
+    setSearching(true);
+
+    job.promise
+      .then(runs => {
+        if (searchRef.current === job) setProfileRuns(runs);
+      })
+      .catch(err => {
+        if (searchRef.current !== job) return;
+        job.cancel();
+        setSearchError(err.message);
+      })
+      .finally(() => {
+        if (searchRef.current !== job) return;
+        searchRef.current = null;
+        setSearching(false);
+      });
   };
 
   return (
     <div className="app-root">
-      <AlgoSidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+      <AlgoSidebar
+        isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} weights={weights} benchmark={benchSummary}
+        heuristic={activeHeuristic} bidirHeuristic={bidirectionalHeuristic(graphMode, movement)}
+        epsilon={epsilon} admissible={heuristicAdmissible} racers={racerLanes}
+      />
+      <BenchmarkPanel
+        isOpen={benchOpen} onClose={() => setBenchOpen(false)} weights={weights} onSummary={setBenchSummary}
+        searchOptions={{
+          heuristic: HEURISTICS[heuristic].worlds.includes('grid') ? heuristic : DEFAULT_HEURISTIC,
+          weight: epsilon, movement, diagonalRule,
+        }}
+      />
 
       {/* ── 3D Canvas ── */}
       <div className="canvas-wrap">
-        <Canvas shadows camera={{ position: [26, 22, 26], fov: 42 }}>
-          <OrbitControls makeDefault maxPolarAngle={Math.PI / 2.1} />
+        {/* Paused and hidden — marker labels included — while split-screen panes stand in for it */}
+        <Canvas
+          shadows camera={{ position: [26, 22, 26], fov: 42 }}
+          frameloop={splitView ? 'never' : 'always'} style={splitView ? { visibility: 'hidden' } : undefined}
+        >
+          <OrbitControls makeDefault maxPolarAngle={Math.PI / 2.1} enabled={!dragging && !stroke} />
           <Stars radius={100} depth={50} count={6000} factor={4} saturation={0} fade speed={0.8} />
           <ambientLight intensity={0.3} />
           <pointLight position={[20, 30, 20]} intensity={3} castShadow />
           <pointLight position={[-15, 12, -15]} intensity={1} color="#818cf8" />
           <Environment preset="night" />
 
-          <CinematicCamera pathNodes={flyPath} isFlying={isFlying} onFlyComplete={() => setIsFlying(false)} />
-
-          <AsphaltGround />
-          <SatelliteOverlay />
-
-          {grid.map((row, rIdx) => row.map((node, cIdx) => (
-            <RoadSurface key={`rs-${rIdx}-${cIdx}`} node={node} />
-          )))}
-
-          <group>
-            {grid.map((row, rIdx) => row.map((node, cIdx) => (
-              <Node3D key={`n-${rIdx}-${cIdx}`} node={node} onToggleWall={onToggleWall} />
-            )))}
-          </group>
-
-          {grid.map((row, rIdx) => row.map((node, cIdx) => (
-            <BuildingWindows key={`bw-${rIdx}-${cIdx}`} node={node} />
-          )))}
-
-          {astarPathNodes.length > 1 && <PathLine nodes={astarPathNodes} color="#92400e" dimColor="#b45309" />}
-          {bfsPathNodes.length > 1 && <PathLine nodes={bfsPathNodes} color="#1e3a5f" dimColor="#1d4ed8" />}
+          <CinematicCamera spots={flyPath} isFlying={isFlying} onFlyComplete={endFlight} />
+
+          <AsphaltGround roadNetwork={osmTerrain || graphMode ? roadData : null} />
+          <SatelliteOverlay center={region.center} zoom={region.zoom} />
+
+          {graphMode ? (
+            <GraphScene
+              graph={roadGraph} spots={graphSpots}
+              frames={timeline?.frames ?? []} frame={frame} events={inspectorEvents}
+              palettes={timeline?.palettes ?? LANE_PALETTES} stops={timeline?.stops ?? []}
+            />
+          ) : (
+            <GridCells
+              key={shownGrid.length} grid={shownGrid} frames={cellFrames} frame={cellFrames === NO_FRAMES ? 0 : frame}
+              palettes={timeline?.palettes ?? LANE_PALETTES} onCellClick={onCellPress} onCellHover={onCellHover}
+            />
+          )}
+
+          {priorRoute && <PathLine spots={priorRoute} color="#94a3b8" dashed />}
+          {isComplete && timeline.result.paths.map((spots, lane) => (
+            <PathLine key={lane} spots={spots} color={timeline.lanes[lane].palette.line} height={2.0 + lane * 0.12} />
+          ))}
+          {profileRuns?.map(({ id, spots }, i) => (
+            <PathLine key={id} spots={spots} color={TRAVEL_PROFILES[id].color} height={2.0 + i * 0.12} />
+          ))}
+          {drive && <PathLine spots={drive.trail.map(cellSpot)} color="#94a3b8" dashed />}
+          {drive && <PathLine spots={drive.route.map(cellSpot)} color="#0e7490" />}
+          {drive && <DriveAgent spot={cellSpot(drive.agent)} blocked={drive.status === 'blocked'} />}
 
           <LandmarkMarker
-            position={[startX, 0, startZ]}
-            label="🎓 GFGC College"
-            area="Kumareshwarnagar, Dharwad"
-            coords={`${GFGC_COORDS.lat}°N ${GFGC_COORDS.lng}°E`}
+            position={[cellCenter(startView.col), 0, cellCenter(startView.row)]}
+            label={`${landmarks.start.icon ?? '📍'} ${landmarks.start.name}`}
+            area={landmarks.start.area}
+            coords={formatCoords(markerCoords(startView, DEFAULT_START, landmarks.start, region.bounds))}
             color="#0d9488"
+            onGrab={() => grabMarker('start')}
+            isDragging={dragging === 'start'}
           />
           <LandmarkMarker
-            position={[endX, 0, endZ]}
-            label="🎓 KCD Arts College"
-            area="Dharwad"
-            coords={`${KCD_COORDS.lat}°N ${KCD_COORDS.lng}°E`}
+            position={[cellCenter(endView.col), 0, cellCenter(endView.row)]}
+            label={`${landmarks.end.icon ?? '📍'} ${landmarks.end.name}`}
+            area={landmarks.end.area}
+            coords={formatCoords(markerCoords(endView, DEFAULT_END, landmarks.end, region.bounds))}
             color="#be123c"
+            onGrab={() => grabMarker('end')}
+            isDragging={dragging === 'end'}
           />
+          {waypoints.map((w, i) => (
+            <WaypointMarker key={`wp-${w.row}-${w.col}`} position={[cellCenter(w.col), 0, cellCenter(w.row)]} index={i + 1} />
+          ))}
+          {dragging && <MarkerDragPlane onHover={hoverMarker} onDrop={dropMarker} />}
+          {hoverEntries && !dragging && !graphMode && (
+            <CellTooltip
+              cell={hoverCell} terrain={shownGrid[hoverCell.row][hoverCell.col].terrain} entries={hoverEntries}
+            />
+          )}
 
           <EffectComposer>
             <Bloom luminanceThreshold={1.4} intensity={0.6} radius={0.4} />
@@ -806,6 +3035,13 @@ const App = () => {
             <Vignette darkness={0.45} />
           </EffectComposer>
         </Canvas>
+        {splitView && (
+          <SplitView
+            timeline={timeline} frame={frame} stats={stats} ground={osmTerrain || graphMode ? roadData : null}
+            graph={graphMode ? roadGraph : null} graphSpots={graphSpots} events={inspectorEvents}
+            hoverCell={hoverCell} hoverEntries={hoverEntries} onCellClick={onCellPress} onCellHover={onCellHover}
+          />
+        )}
       </div>
 
       {/* ── UI Overlay ── */}
@@ -817,27 +3053,32 @@ const App = () => {
             <div className="brand-icon"><GraduationCap size={20} /></div>
             <div className="brand-text">
               <span className="brand-name">PathfinderEDU</span>
-              <span className="brand-sub">Dharwad Digital Twin · v4.0</span>
+              <span className="brand-sub">{region.name} Digital Twin · v4.0</span>
             </div>
           </div>
 
           <div className="topbar-center">
             <div className="route-chip">
               <MapPin size={11} style={{ color: '#10b981' }} />
-              <span>GFGC, Kumareshwarnagar</span>
+              <span>{landmarks.start.name}</span>
               <ChevronRight size={11} style={{ color: '#475569' }} />
               <MapPin size={11} style={{ color: '#f43f5e' }} />
-              <span>KCD Arts College</span>
-              <span className="route-dist">{STRAIGHT_LINE_KM.toFixed(2)} km</span>
+              <span>{landmarks.end.name}</span>
+              <span className="route-dist">{straightKm.toFixed(2)} km</span>
             </div>
           </div>
 
           <div className="topbar-right">
-            <div className={`osm-badge ${roadStatus}`}>
-              {roadStatus === 'loading' && <><Wifi size={11} className="spin" /> Loading OSM…</>}
-              {roadStatus === 'loaded' && <><Wifi size={11} /> OSM Active</>}
-              {roadStatus === 'failed' && <><WifiOff size={11} /> Procedural</>}
+            <div className={`osm-badge ${roadSource.source}`} title={roadSourceTitle(roadSource)}>
+              {roadSource.source === 'loading' && <><Wifi size={11} className="spin" /> Loading OSM…</>}
+              {roadSource.source === 'live' && <><Wifi size={11} /> OSM Live</>}
+              {roadSource.source === 'cached' && <><Database size={11} /> OSM Cached</>}
+              {roadSource.source === 'bundled' && <><HardDrive size={11} /> OSM Bundled</>}
+              {roadSource.source === 'procedural' && <><WifiOff size={11} /> Procedural</>}
             </div>
+            <button className="icon-btn" onClick={() => setBenchOpen(v => !v)} title="Benchmark algorithms">
+              <FlaskConical size={17} />
+            </button>
             <button className="icon-btn" onClick={() => setSidebarOpen(v => !v)} title="Algorithm Learning Center">
               <BookOpen size={17} />
             </button>
@@ -846,21 +3087,257 @@ const App = () => {
 
         {/* ── Left Panel: Controls ── */}
         <aside className="left-panel">
+          <div className="panel-section">
+            <label className="panel-label"><Globe size={12} /> Region</label>
+            <RegionPicker region={region} onSelect={selectRegion} disabled={isRunning} />
+            <div className="race-toggle-row" onClick={toggleOsmTerrain}>
+              <div className={`toggle-pill ${osmTerrain && roadData ? 'on' : ''}`}>
+                <div className="toggle-thumb" />
+              </div>
+              <span className="toggle-label">
+                {!roadData ? 'OSM terrain — no map data' : osmTerrain ? 'OSM terrain — buildings, parks, water' : 'Procedural city'}
+              </span>
+            </div>
+            <div className="seg-toggle">
+              <button
+                className={`seg-btn ${!graphMode ? 'active' : ''}`}
+                onClick={() => selectWorldMode('grid')}
+                disabled={isRunning}
+              >
+                <Grid3x3 size={11} /> Grid
+              </button>
+              <button
+                className={`seg-btn ${graphMode ? 'active' : ''}`}
+                onClick={() => selectWorldMode('graph')}
+                disabled={isRunning || !roadGraph}
+                title={roadGraph ? 'Route on the OSM street graph' : 'Needs OSM road data'}
+              >
+                <Network size={11} /> Street graph
+              </button>
+            </div>
+            {graphMode && (
+              <span className="opt-hint">
+                {roadGraph.size} street nodes · markers snap to the nearest connected street
+              </span>
+            )}
+          </div>
+
+          <div className="panel-section">
+            <label className="panel-label"><FileJson size={12} /> Scenario</label>
+            <div className="seg-toggle">
+              <button className="seg-btn" onClick={downloadScenario} title="Download this map and its settings as JSON">
+                <Download size={11} /> Save
+              </button>
+              <button
+                className="seg-btn" onClick={() => fileInputRef.current.click()} disabled={isRunning}
+                title="Load a scenario JSON file"
+              >
+                <Upload size={11} /> Load
+              </button>
+              <button className="seg-btn" onClick={shareScenario} title="Copy a link that opens this scenario">
+                <Link size={11} /> Share
+              </button>
+            </div>
+            <input ref={fileInputRef} type="file" accept=".json,application/json" hidden onChange={loadScenarioFile} />
+            {scenarioNote && <span className={`opt-hint ${scenarioNote.kind === 'error' ? 'warn' : ''}`}>{scenarioNote.text}</span>}
+          </div>
+
+          <div className="panel-section">
+            <label className="panel-label"><PersonStanding size={12} /> Travel Profile</label>
+            <div className="seg-toggle">
+              {PROFILE_IDS.map(id => {
+                const Icon = PROFILE_ICONS[id];
+                return (
+                  <button
+                    key={id}
+                    className={`seg-btn ${travelProfile === id ? 'active' : ''}`}
+                    onClick={() => changeTravelProfile(id)}
+                    disabled={isRunning}
+                    title={TRAVEL_PROFILES[id].label}
+                  >
+                    <Icon size={13} />
+                  </button>
+                );
+              })}
+            </div>
+            <span className="opt-hint">
+              {traveller.label} · {Object.entries(traveller.speeds).map(([key, kmh]) => `${TERRAIN[key].label} ${kmh}`).join(' · ')} km/h
+              {!traveller.oneway && ' · ignores one-way streets'}
+            </span>
+            <button className="reset-btn" onClick={compareProfiles} disabled={isRunning}>
+              <ArrowLeftRight size={15} /> Compare all profiles
+            </button>
+          </div>
+
           <div className="panel-section">
             <label className="panel-label"><Zap size={12} /> Algorithm</label>
             <div className="algo-selector">
-              {['A*', 'BFS'].map(alg => (
-                <button
-                  key={alg}
-                  className={`algo-btn ${algorithm === alg && !raceMode ? 'active' : ''}`}
-                  onClick={() => { if (!isRunning && !raceMode) setAlgorithm(alg); }}
-                  disabled={isRunning || raceMode}
+              {ALGORITHM_IDS.map(alg => {
+                const Icon = ALGO_ICONS[alg];
+                return (
+                  <button
+                    key={alg}
+                    className={`algo-btn ${algorithm === alg && !raceMode ? 'active' : ''}`}
+                    onClick={() => { if (!isRunning && !raceMode) setAlgorithm(alg); }}
+                    disabled={isRunning || raceMode}
+                  >
+                    <Icon size={13} />
+                    {ALGORITHMS[alg].label}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          {plannedLanes.some(({ alg }) => ALGORITHMS[alg].usesHeuristic) && (
+            <div className="panel-section">
+              <label className="panel-label"><Target size={12} /> Heuristic</label>
+              {raceMode ? (
+                <span className="opt-hint">Each racer picks its own heuristic under Race Mode.</span>
+              ) : (
+                <select
+                  className="opt-select"
+                  value={activeHeuristic}
+                  onChange={e => setHeuristic(e.target.value)}
+                  disabled={isRunning}
                 >
-                  {alg === 'A*' ? <Zap size={13} /> : <Cpu size={13} />}
-                  {alg === 'A*' ? 'A* Weighted' : 'BFS Blind'}
-                </button>
-              ))}
+                  {heuristicOptions}
+                </select>
+              )}
+              {plannedLanes.some(({ alg }) => ALGORITHMS[alg].usesEpsilon) && (
+                <div className="opt-slider-row">
+                  <span className="opt-slider-label">Weight ε</span>
+                  <input
+                    type="range" min={1} max={5} step={0.1}
+                    className="opt-slider"
+                    value={epsilon}
+                    onChange={e => setEpsilon(parseFloat(e.target.value))}
+                    disabled={isRunning}
+                  />
+                  <span className="opt-slider-val">{epsilon.toFixed(1)}</span>
+                </div>
+              )}
+              {!graphMode && movement === 8 && overestimating && (
+                <span className="opt-hint warn">⚠ {HEURISTICS[overestimating].label} overestimates diagonal moves — use Octile for optimal 8-way routes</span>
+              )}
+              <span className="opt-hint">
+                {epsilon > 1 ? `f = g + ${epsilon.toFixed(1)}·h — faster, may be up to ${epsilon.toFixed(1)}× optimal` : 'f = g + h — optimal with an admissible h'}
+              </span>
+            </div>
+          )}
+
+          {!graphMode && (
+            <div className="panel-section">
+              <label className="panel-label"><Move size={12} /> Movement</label>
+              <div className="seg-toggle">
+                {MOVEMENT_MODES.map(mode => (
+                  <button
+                    key={mode}
+                    className={`seg-btn ${movement === mode ? 'active' : ''}`}
+                    onClick={() => setMovement(mode)}
+                    disabled={isRunning}
+                  >
+                    {mode}-way
+                  </button>
+                ))}
+              </div>
+              {movement === 8 && (
+                <select
+                  className="opt-select"
+                  value={diagonalRule}
+                  onChange={e => setDiagonalRule(e.target.value)}
+                  disabled={isRunning}
+                >
+                  {Object.entries(DIAGONAL_RULES).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          )}
+
+          {!graphMode && (
+            <div className="panel-section">
+              <label className="panel-label"><Dices size={12} /> Generate Layout</label>
+              <LayoutGenerator onGenerate={generateMap} disabled={isRunning} />
+            </div>
+          )}
+
+          {!graphMode && (
+            <div className="panel-section">
+              <label className="panel-label"><Paintbrush size={12} /> Terrain Editor</label>
+              <TerrainEditor
+                tool={paintTool} onTool={setPaintTool} brushKey={brushKey} onBrush={setBrushKey} weights={weights}
+                customTerrains={customTerrains} onAddTerrain={addCustomTerrain}
+                canUndo={history.past.length > 0} canRedo={history.future.length > 0}
+                onUndo={() => stepHistory(undo)} onRedo={() => stepHistory(redo)}
+                disabled={isRunning}
+              />
             </div>
+          )}
+
+          <div className="panel-section">
+            <label className="panel-label"><Waypoints size={12} /> Stops</label>
+            <div className="race-toggle-row" onClick={() => !isRunning && setWaypointMode(v => !v)}>
+              <div className={`toggle-pill ${waypointMode ? 'on' : ''}`}>
+                <div className="toggle-thumb" />
+              </div>
+              <span className="toggle-label">{waypointMode ? 'Click road cells to add stops' : 'Place waypoints'}</span>
+            </div>
+            {waypoints.length > 0 && (
+              <ol className="wp-list">
+                {waypoints.map((w, i) => (
+                  <li key={`${w.row}-${w.col}`} className="wp-item">
+                    <span className="wp-num">{i + 1}</span>
+                    <span className="wp-cell">row {w.row}, col {w.col}</span>
+                    <button className="wp-remove" onClick={() => toggleWaypoint(w.row, w.col)} disabled={isRunning} title="Remove stop">
+                      <Trash2 size={11} />
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+            {waypoints.length > 1 && (
+              <div className="race-toggle-row" onClick={() => !isRunning && setOptimizeOrder(v => !v)}>
+                <div className={`toggle-pill ${optimizeOrder ? 'on' : ''}`}>
+                  <div className="toggle-thumb" />
+                </div>
+                <span className="toggle-label">
+                  {optimizeOrder
+                    ? (waypoints.length <= EXACT_LIMIT ? 'Optimize order — exact' : 'Optimize order — 2-opt heuristic')
+                    : 'Visit in the order placed'}
+                </span>
+              </div>
+            )}
+            {tourLog && <TourLog tour={tourLog} />}
+          </div>
+
+          <div className="panel-section">
+            <label className="panel-label"><Car size={12} /> Agent Drive</label>
+            {graphMode ? (
+              <div className="opt-hint">Agent drives run on the grid world.</div>
+            ) : (
+              <>
+                <div className="opt-hint">
+                  A vehicle drives the route while you click cells to add or remove buildings;
+                  D* Lite repairs its plan from where it stands.
+                </div>
+                <div className="race-toggle-row" onClick={() => !isRunning && setCompareReplans(v => !v)}>
+                  <div className={`toggle-pill ${compareReplans ? 'on' : ''}`}>
+                    <div className="toggle-thumb" />
+                  </div>
+                  <span className="toggle-label">Compare with full A* re-runs</span>
+                </div>
+                {driving ? (
+                  <button className="reset-btn" onClick={clearRun}><X size={15} /> End Drive</button>
+                ) : (
+                  <button className="reset-btn" onClick={startDrive} disabled={isRunning}><Car size={15} /> Start Drive</button>
+                )}
+                {drive?.status === 'blocked' && <div className="opt-hint warn">No way through — remove a building to reopen one.</div>}
+                {drive?.status === 'arrived' && <div className="opt-hint">Arrived after {drive.trail.length - 1} steps.</div>}
+                {drive && <ReplanLog replans={drive.replans} />}
+              </>
+            )}
           </div>
 
           <div className="panel-section">
@@ -869,47 +3346,95 @@ const App = () => {
               <div className={`toggle-pill ${raceMode ? 'on' : ''}`}>
                 <div className="toggle-thumb" />
               </div>
-              <span className="toggle-label">{raceMode ? 'BFS vs A* — Active' : 'Run both simultaneously'}</span>
+              <span className="toggle-label">
+                {raceMode ? `${racers.length} racers — Active` : `Race ${MIN_RACERS}–${MAX_LANES} algorithms`}
+              </span>
             </div>
+            {raceMode && (
+              <>
+                <ol className="wp-list">
+                  {racers.map((racer, lane) => (
+                    <li key={lane} className="wp-item racer-item">
+                      <span className="wp-num" style={{ color: LANE_PALETTES[lane].color }}>{lane + 1}</span>
+                      <select
+                        className="opt-select racer-select" value={racer.alg} disabled={isRunning}
+                        onChange={e => updateRacer(lane, { alg: e.target.value })}
+                      >
+                        {ALGORITHM_IDS.map(alg => <option key={alg} value={alg}>{ALGORITHMS[alg].label}</option>)}
+                      </select>
+                      {ALGORITHMS[racer.alg].usesHeuristic && (
+                        <select
+                          className="opt-select racer-select" value={worldHeuristic(racer.heuristic)} disabled={isRunning}
+                          onChange={e => updateRacer(lane, { heuristic: e.target.value })}
+                        >
+                          {heuristicOptions}
+                        </select>
+                      )}
+                      <button
+                        className="wp-remove" onClick={() => removeRacer(lane)} title="Remove racer"
+                        disabled={isRunning || racers.length <= MIN_RACERS}
+                      >
+                        <Trash2 size={11} />
+                      </button>
+                    </li>
+                  ))}
+                </ol>
+                <button className="reset-btn" onClick={addRacer} disabled={isRunning || racers.length >= MAX_LANES}>
+                  <Plus size={15} /> Add racer
+                </button>
+                <div className="seg-toggle">
+                  <button className={`seg-btn ${raceView === 'overlay' ? 'active' : ''}`} onClick={() => setRaceView('overlay')}>
+                    <Layers size={12} /> Overlay
+                  </button>
+                  <button className={`seg-btn ${raceView === 'split' ? 'active' : ''}`} onClick={() => setRaceView('split')}>
+                    <Columns2 size={12} /> Split screen
+                  </button>
+                </div>
+              </>
+            )}
           </div>
 
           <div className="panel-section panel-actions">
             <button className="run-btn" onClick={runSimulation} disabled={isRunning}>
               <Navigation size={16} />
-              {isRunning ? 'Simulating…' : raceMode ? 'Start Race!' : 'Find Route'}
+              {searching ? 'Searching…' : isRunning ? (playing ? 'Simulating…' : 'Paused') : raceMode ? 'Start Race!' : 'Find Route'}
             </button>
-            <button className="reset-btn" onClick={resetGrid} disabled={isRunning}>
+            <button className="reset-btn" onClick={resetGrid} title={searching ? 'Cancel the search and reset the map' : undefined}>
               <RotateCcw size={15} /> Reset
             </button>
+            {searchError && <div className="opt-hint warn">Search failed: {searchError}</div>}
+          </div>
+
+          <div className="panel-section">
+            <label className="panel-label"><Activity size={12} /> Playback</label>
+            <PlaybackBar
+              frame={frame} frameCount={frameCount} playing={playing} speed={speed}
+              currentFrame={currentFrame} lanes={lanes}
+              onTogglePlay={togglePlay} onStep={stepFrame} onScrub={scrubTo} onSpeed={setSpeed}
+            />
           </div>
 
           {/* Stats */}
           <div className="panel-section">
             <label className="panel-label"><BarChart2 size={12} /> Live Stats</label>
+            {lanes.length > 1 && <RaceResults lanes={lanes} stats={stats} complete={isComplete} />}
             <div className="stats-grid">
-              {(raceMode || algorithm === 'A*') && (
-                <div className="stat-tile amber">
-                  <span className="st-label">A* Explored</span>
-                  <span className="st-val">{stats.astarVisited}</span>
-                </div>
-              )}
-              {(raceMode || algorithm === 'BFS') && (
-                <div className="stat-tile indigo">
-                  <span className="st-label">BFS Explored</span>
-                  <span className="st-val">{stats.bfsVisited}</span>
-                </div>
-              )}
-              {stats.astarPath > 0 && (
-                <div className="stat-tile gold">
-                  <span className="st-label">A* Path</span>
-                  <span className="st-val">{stats.astarPath}<small>u</small></span>
-                </div>
-              )}
-              {stats.bfsPath > 0 && (
-                <div className="stat-tile blue">
-                  <span className="st-label">BFS Path</span>
-                  <span className="st-val">{stats.bfsPath}<small>u</small></span>
-                </div>
+              {lanes.length === 1 && (
+                <>
+                  <div className={`stat-tile ${ALGORITHMS[lanes[0].alg].weighted ? 'amber' : 'indigo'}`}>
+                    <span className="st-label">{lanes[0].label} Explored</span>
+                    <span className="st-val">{stats.visited[0] ?? 0}</span>
+                  </div>
+                  {stats.path[0] > 0 && (
+                    <div className={`stat-tile ${ALGORITHMS[lanes[0].alg].weighted ? 'gold' : 'blue'}`}>
+                      <span className="st-label">{lanes[0].label} Path</span>
+                      <span className="st-val">{stats.path[0]}<small>u</small></span>
+                    </div>
+                  )}
+                  {stats.routes[0] && (
+                    <CostTile label={`${lanes[0].label} Cost`} cost={stats.routes[0].cost} optimalCost={stats.optimalCost} />
+                  )}
+                </>
               )}
               <div className="stat-tile neutral">
                 <span className="st-label"><Clock size={10} /> Time</span>
@@ -921,28 +3446,35 @@ const App = () => {
 
         {/* ── Right Panel: Terrain + Distance ── */}
         <aside className="right-panel">
-          <TerrainPanel />
-          <DistancePanel stats={stats} algorithm={algorithm} raceMode={raceMode} />
+          {timeline && (
+            <InspectorPanel events={inspectorEvents} lanes={timeline.lanes} closed={stats.visited} />
+          )}
+          <DeparturePanel hour={departure} onChange={changeDeparture} disabled={isRunning} />
+          <TerrainPanel weights={weights} onChange={changeWeights} customTerrains={customTerrains} disabled={isRunning} />
+          <DistancePanel
+            stats={stats} lanes={lanes} straightKm={straightKm} kmPerCell={kmPerCell}
+            graph={graphMode ? roadGraph : null} departure={departure} traveller={traveller} profileRuns={profileRuns}
+          />
         </aside>
 
         {/* ── Bottom Hint ── */}
         <div className="bottom-hint">
           <MousePointerClick size={12} />
-          <span><strong>Click</strong> node → toggle building &nbsp;·&nbsp; <strong>Drag</strong> → orbit &nbsp;·&nbsp; <strong>Scroll</strong> → zoom</span>
+          <span><strong>Click</strong> node → toggle building &nbsp;·&nbsp; <strong>Ctrl+Z</strong> → undo edit &nbsp;·&nbsp; <strong>Drag</strong> marker → move start/end &nbsp;·&nbsp; <strong>Drag</strong> → orbit &nbsp;·&nbsp; <strong>Scroll</strong> → zoom</span>
         </div>
 
         {/* ── Node Color Legend ── */}
         <div className="node-legend">
           {[
-            { color: '#0d9488', label: 'GFGC (Start)' },
-            { color: '#be123c', label: 'KCD (End)' },
-            { color: '#44403c', label: 'A* Visited' },
-            { color: '#1e293b', label: 'BFS Visited' },
-            { color: '#92400e', label: 'A* Path' },
-            { color: '#1e3a5f', label: 'BFS Path' },
-            { color: '#4c1d95', label: 'Overlap' },
-          ].map(({ color, label }) => (
-            <div className="nl-item" key={label}>
+            { color: '#0d9488', label: `${landmarks.start.tag} (Start)` },
+            { color: '#be123c', label: `${landmarks.end.tag} (End)` },
+            ...lanes.flatMap(({ label, palette }) => [
+              { color: lookHex(palette.visit), label: `${label} Visited` },
+              { color: lookHex(palette.path), label: `${label} Path` },
+            ]),
+            ...(lanes.length > 1 ? [{ color: '#4b4f5c', label: 'Shared — colours blend' }] : []),
+          ].map(({ color, label }, i) => (
+            <div className="nl-item" key={i}>
               <div className="nl-dot" style={{ background: color, border: `1px solid ${color}88` }} />
               <span>{label}</span>
             </div>
@@ -2,67 +2,74 @@
  * Weighted A* Search Algorithm
  * Supports node weights (terrain cost) for realistic pathfinding.
  * g(n) = actual cost (with terrain weight)
- * h(n) = Manhattan distance heuristic
- * f(n) = g(n) + h(n)
+ * h(n) = heuristic estimate (Manhattan by default, see ./heuristics)
+ * f(n) = g(n) + ε·h(n)
+ *
+ * Options:
+ *   heuristic — key of HEURISTICS ('manhattan', 'euclidean', 'chebyshev', 'octile', 'zero')
+ *   weight    — ε ≥ 1. ε = 1 is classic A*; ε > 1 is Weighted A*, which
+ *               expands fewer nodes but may return a path up to ε× the optimum.
+ *   movement, diagonalRule — see ./neighbors
+ *   trace     — optional array that receives one step per expansion (see ./trace)
  */
-export function astar(grid, startNode, endNode) {
+import { getNeighbors, getMoveCost } from './neighbors';
+import { PriorityQueue } from './priorityQueue';
+import { getHeuristic } from './heuristics';
+import { recordStep, heapFrontier } from './trace';
+
+export function astar(grid, startNode, endNode, options = {}) {
+    const heuristic = getHeuristic(options.heuristic);
+    const epsilon = options.weight ?? 1;
+
     const visitedNodesInOrder = [];
     startNode.distance = 0;
-    startNode.totalCost = heuristic(startNode, endNode);
+    startNode.heuristic = heuristic(startNode, endNode);
+    startNode.totalCost = epsilon * startNode.heuristic;
 
-    // Min-heap simulation via sorted array (open list)
-    const openList = [startNode];
+    // Open list: binary heap keyed on f(n), ties → lower h(n) → insertion order
+    const openList = new PriorityQueue();
+    openList.push(startNode, startNode.totalCost, startNode.heuristic);
     const closedSet = new Set();
+    let openCount = 1; // nodes on the open list, not counting stale copies
 
-    while (openList.length > 0) {
-        // Sort by f(n) — pick best candidate
-        openList.sort((a, b) => a.totalCost - b.totalCost);
-        const current = openList.shift();
+    while (!openList.isEmpty()) {
+        const current = openList.pop();
 
         if (current.isWall) continue;
+        // Stale heap entry from an earlier, costlier push (lazy deletion)
         if (closedSet.has(current)) continue;
         if (current.distance === Infinity) return visitedNodesInOrder;
 
         closedSet.add(current);
+        openCount--;
         current.isVisited = true;
         visitedNodesInOrder.push(current);
 
-        if (current === endNode) return visitedNodesInOrder;
+        if (current === endNode) {
+            recordStep(options.trace, current, [], heapFrontier(openList, closedSet, openCount));
+            return visitedNodesInOrder;
+        }
 
-        const neighbors = getNeighbors(current, grid);
+        const relaxed = [];
+        const neighbors = getNeighbors(current, grid, options);
         for (const neighbor of neighbors) {
             if (closedSet.has(neighbor) || neighbor.isWall) continue;
 
-            // g(n): actual cost = parent cost + terrain weight of neighbor
-            const tentativeG = current.distance + (neighbor.weight || 1);
+            // g(n): actual cost = parent cost + terrain weight of neighbor (√2× diagonally)
+            const tentativeG = current.distance + getMoveCost(current, neighbor, grid);
 
             if (tentativeG < neighbor.distance) {
+                if (neighbor.distance === Infinity) openCount++;
                 neighbor.distance = tentativeG;
                 neighbor.heuristic = heuristic(neighbor, endNode);
-                neighbor.totalCost = neighbor.distance + neighbor.heuristic;
+                neighbor.totalCost = neighbor.distance + epsilon * neighbor.heuristic;
                 neighbor.previousNode = current;
-
-                if (!openList.includes(neighbor)) {
-                    openList.push(neighbor);
-                }
+                openList.push(neighbor, neighbor.totalCost, neighbor.heuristic);
+                relaxed.push(neighbor);
             }
         }
+        recordStep(options.trace, current, relaxed, heapFrontier(openList, closedSet, openCount));
     }
 
     return visitedNodesInOrder;
 }
-
-function heuristic(nodeA, nodeB) {
-    // Manhattan distance — admissible for grid movement
-    return Math.abs(nodeA.row - nodeB.row) + Math.abs(nodeA.col - nodeB.col);
-}
-
-function getNeighbors(node, grid) {
-    const { col, row } = node;
-    const neighbors = [];
-    if (row > 0) neighbors.push(grid[row - 1][col]);
-    if (row < grid.length - 1) neighbors.push(grid[row + 1][col]);
-    if (col > 0) neighbors.push(grid[row][col - 1]);
-    if (col < grid[0].length - 1) neighbors.push(grid[row][col + 1]);
-    return neighbors;
-}
@@ -3,7 +3,10 @@
  * Unweighted, exhaustive, layer-by-layer exploration.
  * Guarantees shortest path in unweighted grids.
  */
-export function bfs(grid, startNode, endNode) {
+import { getNeighbors } from './neighbors';
+import { recordStep, listFrontier } from './trace';
+
+export function bfs(grid, startNode, endNode, options = {}) {
     const visitedNodesInOrder = [];
     const queue = [startNode];
     startNode.isVisited = true;
@@ -12,26 +15,25 @@ export function bfs(grid, startNode, endNode) {
         const current = queue.shift();
         if (current.isWall) continue;
         visitedNodesInOrder.push(current);
-        if (current === endNode) return visitedNodesInOrder;
+        if (current === endNode) {
+            recordStep(options.trace, current, [], listFrontier(queue));
+            return visitedNodesInOrder;
+        }
 
-        const neighbors = getUnvisitedNeighbors(current, grid);
+        const neighbors = getUnvisitedNeighbors(current, grid, options);
         for (const neighbor of neighbors) {
             neighbor.isVisited = true;
             neighbor.previousNode = current;
             queue.push(neighbor);
         }
+        // Frontier in FIFO order — the front of the queue is expanded next
+        recordStep(options.trace, current, neighbors, listFrontier(queue));
     }
     return visitedNodesInOrder;
 }
 
-function getUnvisitedNeighbors(node, grid) {
-    const { col, row } = node;
-    const neighbors = [];
-    if (row > 0) neighbors.push(grid[row - 1][col]);
-    if (row < grid.length - 1) neighbors.push(grid[row + 1][col]);
-    if (col > 0) neighbors.push(grid[row][col - 1]);
-    if (col < grid[0].length - 1) neighbors.push(grid[row][col + 1]);
-    return neighbors.filter(n => !n.isVisited && !n.isWall);
+function getUnvisitedNeighbors(node, grid, options) {
+    return getNeighbors(node, grid, options).filter(n => !n.isVisited && !n.isWall);
 }
 
 export function getNodesInShortestPathOrder(endNode) {
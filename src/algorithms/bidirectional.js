@@ -0,0 +1,183 @@
+/**
+ * Bidirectional Search
+ * Runs two searches at once — one forward from Start, one backward from End —
+ * and stops when the frontiers meet. The backward half is stitched onto the
+ * forward `previousNode` chain so `getNodesInShortestPathOrder(endNode)`
+ * reconstructs the full route unchanged.
+ */
+import { getNeighbors, getMoveCost, isGraph } from './neighbors';
+import { PriorityQueue } from './priorityQueue';
+import { HEURISTICS } from './heuristics';
+import { recordStep, listFrontier, heapFrontier } from './trace';
+
+/** Key of the admissible distance estimate Bi-A* uses for a world and movement mode. */
+export function bidirectionalHeuristic(graph, movement) {
+    if (graph) return 'haversine';
+    return movement === 8 ? 'octile' : 'manhattan';
+}
+
+const worldDistance = (world, options) => HEURISTICS[bidirectionalHeuristic(isGraph(world), options.movement)].fn;
+
+// The backward side walks edges against their direction (matters for one-way streets)
+const sideOptions = (options, direction) => (direction === 'backward' ? { ...options, reverse: true } : options);
+
+/**
+ * Bidirectional BFS — unweighted. Each round expands one whole BFS layer of
+ * the side with the smaller frontier. The first layer to reach the other
+ * side holds a shortest route, but not necessarily through the first
+ * meeting found (with 8-way moves the grid is not bipartite), so the layer
+ * is finished and the meeting with the fewest steps in total is kept.
+ * Both visited sets are reported in a single interleaved visit order.
+ */
+export function bidirectionalBfs(grid, startNode, endNode, options = {}) {
+    const visitedNodesInOrder = [];
+    const nextTowardEnd = new Map();
+
+    if (startNode === endNode) {
+        startNode.isVisited = true;
+        return [startNode];
+    }
+
+    // depth: steps from the side's origin to every node it has seen
+    const forward = { direction: 'forward', layer: [startNode], depth: new Map([[startNode, 0]]) };
+    const backward = { direction: 'backward', layer: [endNode], depth: new Map([[endNode, 0]]) };
+
+    while (forward.layer.length > 0 && backward.layer.length > 0) {
+        const side = forward.layer.length <= backward.layer.length ? forward : backward;
+        const other = side === forward ? backward : forward;
+        const { layer } = side;
+        const next = [];
+        let meetingNode = null;
+        let fewestSteps = Infinity;
+
+        for (let i = 0; i < layer.length; i++) {
+            const current = layer[i];
+            current.isVisited = true;
+            visitedNodesInOrder.push(current);
+
+            const relaxed = [];
+            for (const neighbor of getNeighbors(current, grid, sideOptions(options, side.direction))) {
+                if (neighbor.isWall || side.depth.has(neighbor)) continue;
+                side.depth.set(neighbor, side.depth.get(current) + 1);
+                if (side === forward) neighbor.previousNode = current;
+                else nextTowardEnd.set(neighbor, current);
+                relaxed.push(neighbor);
+                next.push(neighbor);
+                if (other.depth.has(neighbor)) {
+                    const steps = side.depth.get(neighbor) + other.depth.get(neighbor);
+                    if (steps < fewestSteps) {
+                        fewestSteps = steps;
+                        meetingNode = neighbor;
+                    }
+                }
+            }
+            // FIFO order: the rest of this layer, then the next one
+            recordStep(options.trace, current, relaxed, listFrontier(layer, i + 1, next), { direction: side.direction });
+        }
+
+        if (meetingNode) {
+            stitch(meetingNode, nextTowardEnd);
+            return visitedNodesInOrder;
+        }
+        side.layer = next;
+    }
+    return visitedNodesInOrder;
+}
+
+/**
+ * Bidirectional A* — weighted, symmetric (Pohl) variant.
+ * Forward h(n) = distance to End, backward h(n) = distance to Start
+ * (Manhattan for 4-way movement, Octile for 8-way, Haversine on a road graph).
+ * Keeps the best meeting cost μ seen so far and stops once either
+ * frontier's lowest f(n) can no longer beat it, so the path stays optimal.
+ */
+export function bidirectionalAstar(grid, startNode, endNode, options = {}) {
+    const heuristic = worldDistance(grid, options);
+    const visitedNodesInOrder = [];
+    const forward = createSide(startNode, endNode, heuristic);
+    const backward = createSide(endNode, startNode, heuristic);
+    const nextTowardEnd = new Map();
+
+    startNode.distance = 0;
+    startNode.heuristic = heuristic(startNode, endNode);
+    startNode.totalCost = startNode.heuristic;
+
+    let bestCost = Infinity;
+    let meetingNode = null;
+
+    while (!forward.open.isEmpty() && !backward.open.isEmpty()) {
+        dropClosed(forward);
+        dropClosed(backward);
+        if (forward.open.isEmpty() || backward.open.isEmpty()) break;
+        if (Math.max(forward.open.peekPriority(), backward.open.peekPriority()) >= bestCost) break;
+
+        const side = forward.open.size <= backward.open.size ? forward : backward;
+        const direction = side === forward ? 'forward' : 'backward';
+        const current = side.open.pop();
+        side.closed.add(current);
+        current.isVisited = true;
+        visitedNodesInOrder.push(current);
+
+        const relaxed = [];
+        const gCurrent = side.g.get(current);
+        for (const neighbor of getNeighbors(current, grid, sideOptions(options, direction))) {
+            if (neighbor.isWall || side.closed.has(neighbor)) continue;
+
+            // Entering a cell costs that cell's weight. Going backward from
+            // `current` to `neighbor` undoes the move neighbor → current.
+            const stepCost = side === forward ? getMoveCost(current, neighbor, grid) : getMoveCost(neighbor, current, grid);
+            const tentativeG = gCurrent + stepCost;
+            if (tentativeG >= (side.g.get(neighbor) ?? Infinity)) continue;
+
+            side.g.set(neighbor, tentativeG);
+            const h = heuristic(neighbor, side.goal);
+            side.open.push(neighbor, tentativeG + h, h);
+            relaxed.push(neighbor);
+
+            if (side === forward) {
+                neighbor.distance = tentativeG;
+                neighbor.heuristic = h;
+                neighbor.totalCost = tentativeG + h;
+                neighbor.previousNode = current;
+            } else {
+                nextTowardEnd.set(neighbor, current);
+            }
+
+            const other = side === forward ? backward : forward;
+            if (other.g.has(neighbor)) {
+                const through = tentativeG + other.g.get(neighbor);
+                if (through < bestCost) {
+                    bestCost = through;
+                    meetingNode = neighbor;
+                }
+            }
+        }
+        const frontier = heapFrontier(side.open, side.closed, side.g.size - side.closed.size);
+        recordStep(options.trace, current, relaxed, frontier, { direction });
+    }
+
+    if (meetingNode) stitch(meetingNode, nextTowardEnd);
+    return visitedNodesInOrder;
+}
+
+function createSide(origin, goal, heuristic) {
+    const open = new PriorityQueue();
+    const h = heuristic(origin, goal);
+    open.push(origin, h, h);
+    return { goal, g: new Map([[origin, 0]]), open, closed: new Set() };
+}
+
+// Discards stale heap entries (lazy deletion) so peekPriority() is the true frontier minimum.
+function dropClosed(side) {
+    while (!side.open.isEmpty() && side.closed.has(side.open.peek())) side.open.pop();
+}
+
+// Re-points the backward chain meeting → End as forward `previousNode` links.
+function stitch(meetingNode, nextTowardEnd) {
+    let current = meetingNode;
+    while (nextTowardEnd.has(current)) {
+        const next = nextTowardEnd.get(current);
+        next.previousNode = current;
+        current = next;
+    }
+}
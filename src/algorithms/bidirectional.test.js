@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { bfs, getNodesInShortestPathOrder } from './bfs';
+import { bidirectionalBfs } from './bidirectional';
+
+const SIZE = 16;
+const GRIDS = 1000;
+const WALL_DENSITY = 0.3;
+
+// Small seeded PRNG (mulberry32) so every run sees the same grids
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Seeded random walls; Start and End stay open
+function randomGrid(seed) {
+    const rand = createRandom(seed);
+    return Array.from({ length: SIZE }, (_, row) => Array.from({ length: SIZE }, (_, col) => ({
+        row, col, weight: 1, isWall: rand() < WALL_DENSITY && !(row === 0 && col === 0) && !(row === SIZE - 1 && col === SIZE - 1),
+        distance: Infinity, isVisited: false, previousNode: null, totalCost: Infinity, heuristic: 0,
+    })));
+}
+
+// Route Start → End, or null when End was not reached
+function route(run, seed, options) {
+    const grid = randomGrid(seed);
+    const startNode = grid[0][0];
+    const endNode = grid[SIZE - 1][SIZE - 1];
+    run(grid, startNode, endNode, options);
+    const path = getNodesInShortestPathOrder(endNode);
+    return path[0] === startNode ? path : null;
+}
+
+describe('bidirectionalBfs', () => {
+    for (const movement of [4, 8]) {
+        it(`finds routes as short as BFS with ${movement}-way movement`, () => {
+            const options = { movement };
+            for (let seed = 1; seed <= GRIDS; seed++) {
+                expect(route(bidirectionalBfs, seed, options)?.length, `grid ${seed}`).toBe(route(bfs, seed, options)?.length);
+            }
+        });
+    }
+});
@@ -0,0 +1,53 @@
+/**
+ * Depth-First Search (DFS)
+ * Unweighted, uninformed: follows one branch as deep as it can before
+ * backtracking (LIFO stack). Finds *a* path, rarely the shortest one.
+ */
+import { getNeighbors } from './neighbors';
+import { recordStep } from './trace';
+
+export function dfs(grid, startNode, endNode, options = {}) {
+    const visitedNodesInOrder = [];
+    const stack = [startNode];
+    // Stack entries per node, and how many entries are still unvisited, for the trace
+    const copies = new Map([[startNode, 1]]);
+    let pending = 1;
+
+    // Frontier in LIFO order — the top of the stack is expanded next
+    const frontier = limit => {
+        const nodes = [];
+        for (let i = stack.length - 1; i >= 0 && nodes.length < limit; i--) {
+            if (!stack[i].isVisited) nodes.push(stack[i]);
+        }
+        return { nodes, size: pending };
+    };
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current.isWall || current.isVisited) continue;
+
+        current.isVisited = true;
+        pending -= copies.get(current);
+        visitedNodesInOrder.push(current);
+        if (current === endNode) {
+            recordStep(options.trace, current, [], frontier);
+            return visitedNodesInOrder;
+        }
+
+        // Push in reverse so the first neighbour (up) is explored first
+        const relaxed = [];
+        const neighbors = getNeighbors(current, grid, options);
+        for (let i = neighbors.length - 1; i >= 0; i--) {
+            const neighbor = neighbors[i];
+            if (neighbor.isVisited || neighbor.isWall) continue;
+            // Last push wins: the entry popped first decides the parent
+            neighbor.previousNode = current;
+            stack.push(neighbor);
+            copies.set(neighbor, (copies.get(neighbor) ?? 0) + 1);
+            pending++;
+            relaxed.push(neighbor);
+        }
+        recordStep(options.trace, current, relaxed, frontier);
+    }
+    return visitedNodesInOrder;
+}
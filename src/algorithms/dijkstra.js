@@ -0,0 +1,56 @@
+/**
+ * Dijkstra's Algorithm
+ * Weighted, uninformed search: always expands the node with the lowest
+ * accumulated cost g(n). Equivalent to A* with h(n) = 0.
+ * Guarantees the cheapest path on non-negative terrain weights.
+ */
+import { getNeighbors, getMoveCost } from './neighbors';
+import { PriorityQueue } from './priorityQueue';
+import { recordStep, heapFrontier } from './trace';
+
+export function dijkstra(grid, startNode, endNode, options = {}) {
+    const visitedNodesInOrder = [];
+    startNode.distance = 0;
+    startNode.totalCost = 0;
+
+    const openList = new PriorityQueue();
+    openList.push(startNode, 0);
+    const closedSet = new Set();
+    let openCount = 1; // nodes on the open list, not counting stale copies
+
+    while (!openList.isEmpty()) {
+        const current = openList.pop();
+
+        if (current.isWall) continue;
+        if (closedSet.has(current)) continue;
+        if (current.distance === Infinity) return visitedNodesInOrder;
+
+        closedSet.add(current);
+        openCount--;
+        current.isVisited = true;
+        visitedNodesInOrder.push(current);
+
+        if (current === endNode) {
+            recordStep(options.trace, current, [], heapFrontier(openList, closedSet, openCount));
+            return visitedNodesInOrder;
+        }
+
+        const relaxed = [];
+        for (const neighbor of getNeighbors(current, grid, options)) {
+            if (closedSet.has(neighbor) || neighbor.isWall) continue;
+
+            const tentativeG = current.distance + getMoveCost(current, neighbor, grid);
+            if (tentativeG < neighbor.distance) {
+                if (neighbor.distance === Infinity) openCount++;
+                neighbor.distance = tentativeG;
+                neighbor.totalCost = tentativeG;
+                neighbor.previousNode = current;
+                openList.push(neighbor, tentativeG);
+                relaxed.push(neighbor);
+            }
+        }
+        recordStep(options.trace, current, relaxed, heapFrontier(openList, closedSet, openCount));
+    }
+
+    return visitedNodesInOrder;
+}
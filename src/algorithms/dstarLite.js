@@ -0,0 +1,188 @@
+/**
+ * D* Lite (Koenig & Likhachev, 2002)
+ * Incremental replanning for an agent that moves while the map changes.
+ * The search runs backwards from End, keeping for every cell
+ *   g   — its cost-to-End as last computed
+ *   rhs — one-step lookahead: min over neighbours s' of c(s, s') + g(s')
+ * and only re-expands cells whose g and rhs disagree. After the agent
+ * moves or a few cells change, the next computePath() repairs just the
+ * affected part of the search instead of starting over; `km` keeps the
+ * old open-list keys valid as the agent (and so the heuristic's origin)
+ * moves.
+ *
+ * Unlike the one-shot searches in this folder it keeps state between calls,
+ * on its own copy of the grid — so it is a class, not a run() function:
+ *
+ *   const planner = new DStarLite(grid, start, end, options);
+ *   planner.computePath();           // → cells expanded by this call
+ *   planner.path();                  // → [{ row, col }] Start … End, [] if blocked
+ *   planner.moveTo(next);            // the agent advanced one cell
+ *   planner.updateCells([{ row, col, weight, isWall }]);
+ *   planner.computePath();           // repairs the plan
+ *
+ * Options: heuristic, movement, diagonalRule (see ./heuristics, ./neighbors).
+ * The heuristic must be admissible for the movement mode for routes to be
+ * optimal; there is no ε.
+ */
+import { getNeighbors, getMoveCost } from './neighbors';
+import { PriorityQueue } from './priorityQueue';
+import { getHeuristic } from './heuristics';
+
+// Keys are sums of √2 step costs and heuristics; cells on the optimal route
+// tie the agent's key exactly in theory, but can round a hair above it
+const KEY_EPSILON = 1e-9;
+const keyAtMost = (k1, k2, limit1, limit2) => k1 < limit1 - KEY_EPSILON
+    || (k1 <= limit1 + KEY_EPSILON && k2 <= limit2 + KEY_EPSILON);
+
+export class DStarLite {
+    /**
+     * @param grid   grid[row][col] of { weight, isWall } — copied, never mutated
+     * @param start  { row, col } where the agent stands
+     * @param end    { row, col } it is heading for
+     */
+    constructor(grid, start, end, options = {}) {
+        this.options = options;
+        this.heuristic = getHeuristic(options.heuristic);
+        this.grid = grid.map((cells, row) => cells.map(({ weight, isWall }, col) => ({
+            row, col, weight, isWall, g: Infinity, rhs: Infinity, entry: null,
+        })));
+        this.start = this.grid[start.row][start.col];
+        this.last = this.start;
+        this.goal = this.grid[end.row][end.col];
+        this.km = 0;
+        // Entries are { node, k1, k2 }; a node's live entry is node.entry, any other is stale
+        this.open = new PriorityQueue();
+        this.goal.rhs = 0;
+        this.enqueue(this.goal);
+    }
+
+    cost(from, to) {
+        if (from.isWall || to.isWall) return Infinity;
+        return getMoveCost(from, to, this.grid);
+    }
+
+    // Neighbour relation is symmetric on a grid, so these are both successors and predecessors
+    neighbors(node) {
+        return getNeighbors(node, this.grid, this.options);
+    }
+
+    key(node) {
+        const best = Math.min(node.g, node.rhs);
+        return [best + this.heuristic(this.start, node) + this.km, best];
+    }
+
+    enqueue(node) {
+        const [k1, k2] = this.key(node);
+        node.entry = { node, k1, k2 };
+        this.open.push(node.entry, k1, k2);
+    }
+
+    // Drops stale entries off the top; returns the live top entry or undefined
+    top() {
+        while (!this.open.isEmpty() && this.open.peek().node.entry !== this.open.peek()) this.open.pop();
+        return this.open.peek();
+    }
+
+    lookahead(node) {
+        let best = Infinity;
+        for (const next of this.neighbors(node)) best = Math.min(best, this.cost(node, next) + next.g);
+        return best;
+    }
+
+    updateVertex(node) {
+        if (node !== this.goal) node.rhs = this.lookahead(node);
+        node.entry = null;
+        if (node.g !== node.rhs) this.enqueue(node);
+    }
+
+    /** Repairs g-values until the agent's cell is consistent; returns the cells expanded, in order. */
+    computePath() {
+        const expanded = [];
+        for (;;) {
+            const entry = this.top();
+            const [startK1, startK2] = this.key(this.start);
+            if (entry === undefined) return expanded;
+            if (!keyAtMost(entry.k1, entry.k2, startK1, startK2) && this.start.rhs === this.start.g) return expanded;
+
+            const { node } = entry;
+            const [k1, k2] = this.key(node);
+            if (entry.k1 < k1 || (entry.k1 === k1 && entry.k2 < k2)) {
+                // Key grew since it was queued (the agent moved): requeue, no expansion
+                this.open.pop();
+                this.enqueue(node);
+                continue;
+            }
+
+            this.open.pop();
+            node.entry = null;
+            expanded.push(node);
+            if (node.g > node.rhs) {
+                // Overconsistent: settle it and offer it to the neighbours
+                node.g = node.rhs;
+                for (const prev of this.neighbors(node)) {
+                    if (prev !== this.goal) prev.rhs = Math.min(prev.rhs, this.cost(prev, node) + node.g);
+                    prev.entry = null;
+                    if (prev.g !== prev.rhs) this.enqueue(prev);
+                }
+            } else {
+                // Underconsistent: forget it, and re-derive everyone who may have leaned on it
+                node.g = Infinity;
+                this.updateVertex(node);
+                for (const prev of this.neighbors(node)) this.updateVertex(prev);
+            }
+        }
+    }
+
+    /**
+     * Cheapest route from the agent's cell to End by following g, or [] when
+     * blocked. The agent's own cell may be left overconsistent, so its rhs is
+     * what tells whether End is reachable.
+     */
+    path() {
+        if (this.start.rhs === Infinity) return [];
+        const route = [this.start];
+        let current = this.start;
+        const limit = this.grid.length * this.grid[0].length;
+        while (current !== this.goal && route.length <= limit) {
+            let next = null;
+            let best = Infinity;
+            for (const candidate of this.neighbors(current)) {
+                const through = this.cost(current, candidate) + candidate.g;
+                if (through < best) {
+                    best = through;
+                    next = candidate;
+                }
+            }
+            if (next === null) return [];
+            route.push(next);
+            current = next;
+        }
+        return route.map(({ row, col }) => ({ row, col }));
+    }
+
+    /** The agent stepped onto { row, col }. */
+    moveTo({ row, col }) {
+        this.start = this.grid[row][col];
+    }
+
+    /**
+     * Cells whose weight or wall state changed. Every cell within one step
+     * of a change is re-derived, which also covers diagonal moves that a
+     * new (or removed) building now blocks.
+     */
+    updateCells(changes) {
+        this.km += this.heuristic(this.last, this.start);
+        this.last = this.start;
+        const touched = new Set();
+        for (const { row, col, weight, isWall } of changes) {
+            Object.assign(this.grid[row][col], { weight, isWall });
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    const cell = this.grid[row + dr]?.[col + dc];
+                    if (cell) touched.add(cell);
+                }
+            }
+        }
+        for (const cell of touched) this.updateVertex(cell);
+    }
+}
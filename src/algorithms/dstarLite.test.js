@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { DStarLite } from './dstarLite';
+import { dijkstra } from './dijkstra';
+import { getNodesInShortestPathOrder } from './bfs';
+import { getPathCost } from './path';
+
+const SIZE = 12;
+const START = { row: 0, col: 0 };
+const END = { row: SIZE - 1, col: SIZE - 1 };
+
+// Open grid with a band of dearer cells, so routes are not all equal
+function weightedGrid() {
+    return Array.from({ length: SIZE }, (_, row) => Array.from({ length: SIZE }, (_, col) => ({
+        row, col, weight: row === col ? 1 : 1 + ((row * 7 + col * 3) % 4), isWall: false,
+        distance: Infinity, isVisited: false, previousNode: null, totalCost: Infinity, heuristic: 0,
+    })));
+}
+
+// Cost of Dijkstra's route from `from` to End over a fresh copy of `grid`
+function optimalCost(grid, from, options) {
+    const fresh = grid.map(cells => cells.map(cell => ({ ...cell, distance: Infinity, isVisited: false, previousNode: null })));
+    const endNode = fresh[END.row][END.col];
+    dijkstra(fresh, fresh[from.row][from.col], endNode, options);
+    return getPathCost(getNodesInShortestPathOrder(endNode), fresh);
+}
+
+const costOf = (path, grid) => getPathCost(path.map(({ row, col }) => grid[row][col]), grid);
+
+describe('DStarLite', () => {
+    for (const movement of [4, 8]) {
+        const options = { movement, heuristic: movement === 4 ? 'manhattan' : 'octile' };
+
+        it(`replans around a wall dropped onto its route with ${movement}-way movement`, () => {
+            const grid = weightedGrid();
+            const planner = new DStarLite(grid, START, END, options);
+            planner.computePath();
+            expect(costOf(planner.path(), grid)).toBeCloseTo(optimalCost(grid, START, options), 9);
+
+            // Take one step, then wall off the next cell ahead
+            const [, next, ahead] = planner.path();
+            planner.moveTo(next);
+            grid[ahead.row][ahead.col].isWall = true;
+            planner.updateCells([{ row: ahead.row, col: ahead.col, weight: grid[ahead.row][ahead.col].weight, isWall: true }]);
+            planner.computePath();
+
+            const path = planner.path();
+            expect(path[0]).toEqual({ row: next.row, col: next.col });
+            expect(path.at(-1)).toEqual(END);
+            expect(path).not.toContainEqual({ row: ahead.row, col: ahead.col });
+            expect(costOf(path, grid)).toBeCloseTo(optimalCost(grid, next, options), 9);
+        });
+    }
+
+    it('reports no route once End is walled in', () => {
+        const grid = weightedGrid();
+        const planner = new DStarLite(grid, START, END, { movement: 8, heuristic: 'octile' });
+        planner.computePath();
+        const ring = [[-1, -1], [-1, 0], [0, -1]].map(([dr, dc]) => ({
+            row: END.row + dr, col: END.col + dc, weight: 1, isWall: true,
+        }));
+        planner.updateCells(ring);
+        planner.computePath();
+        expect(planner.path()).toEqual([]);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Greedy Best-First Search
+ * Informed but short-sighted: always expands the node that *looks* closest
+ * to the goal by heuristic h(n) alone, ignoring the cost g(n) paid so far.
+ * Very fast, but the path it returns is not guaranteed to be the cheapest.
+ * Accepts the same `heuristic` option as A*.
+ */
+import { getNeighbors, getMoveCost } from './neighbors';
+import { PriorityQueue } from './priorityQueue';
+import { getHeuristic } from './heuristics';
+import { recordStep, heapFrontier } from './trace';
+
+export function greedyBestFirst(grid, startNode, endNode, options = {}) {
+    const heuristic = getHeuristic(options.heuristic);
+    const visitedNodesInOrder = [];
+    startNode.distance = 0;
+    startNode.heuristic = heuristic(startNode, endNode);
+    startNode.totalCost = startNode.heuristic;
+
+    // Keyed on h(n) only — no g(n) term
+    const openList = new PriorityQueue();
+    openList.push(startNode, startNode.heuristic);
+    const discovered = new Set([startNode]);
+
+    while (!openList.isEmpty()) {
+        const current = openList.pop();
+
+        if (current.isWall) continue;
+        current.isVisited = true;
+        visitedNodesInOrder.push(current);
+
+        // Every node is queued at most once, so the heap holds no stale entries
+        if (current === endNode) {
+            recordStep(options.trace, current, [], heapFrontier(openList, null, openList.size));
+            return visitedNodesInOrder;
+        }
+
+        const relaxed = [];
+        for (const neighbor of getNeighbors(current, grid, options)) {
+            if (discovered.has(neighbor) || neighbor.isWall) continue;
+            discovered.add(neighbor);
+
+            // g(n) is still tracked so the stats can show the real path cost
+            neighbor.distance = current.distance + getMoveCost(current, neighbor, grid);
+            neighbor.heuristic = heuristic(neighbor, endNode);
+            neighbor.totalCost = neighbor.heuristic;
+            neighbor.previousNode = current;
+            openList.push(neighbor, neighbor.heuristic);
+            relaxed.push(neighbor);
+        }
+        recordStep(options.trace, current, relaxed, heapFrontier(openList, null, openList.size));
+    }
+
+    return visitedNodesInOrder;
+}
@@ -0,0 +1,73 @@
+/**
+ * Heuristic functions h(n) for informed searches.
+ * Grid heuristics estimate the remaining cost from nodeA to nodeB in grid
+ * steps; `haversine` works on road-graph nodes (lat/lng) in metres, which
+ * is admissible there because every edge costs its length × a weight ≥ 1.
+ * `worlds` lists which search worlds a heuristic understands.
+ * With every terrain weight ≥ 1 and 4-way movement all of these are
+ * admissible (never overestimate). With 8-way movement a diagonal step
+ * costs √2, so Manhattan overestimates and only Octile, Euclidean,
+ * Chebyshev and Zero stay admissible (see `admissible8`).
+ * Multiplying by ε > 1 in Weighted A* deliberately breaks the guarantee
+ * to trade optimality for speed.
+ */
+export const HEURISTICS = {
+    manhattan: {
+        worlds: ['grid'],
+        label: 'Manhattan',
+        admissible8: false,
+        fn: (a, b) => Math.abs(a.row - b.row) + Math.abs(a.col - b.col),
+    },
+    euclidean: {
+        worlds: ['grid'],
+        label: 'Euclidean',
+        admissible8: true,
+        fn: (a, b) => Math.hypot(a.row - b.row, a.col - b.col),
+    },
+    chebyshev: {
+        worlds: ['grid'],
+        label: 'Chebyshev',
+        admissible8: true,
+        fn: (a, b) => Math.max(Math.abs(a.row - b.row), Math.abs(a.col - b.col)),
+    },
+    octile: {
+        worlds: ['grid'],
+        label: 'Octile',
+        admissible8: true,
+        fn: (a, b) => {
+            const dx = Math.abs(a.row - b.row);
+            const dy = Math.abs(a.col - b.col);
+            return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+        },
+    },
+    haversine: {
+        worlds: ['graph'],
+        label: 'Haversine',
+        admissible8: true,
+        fn: (a, b) => haversineMetres(a, b),
+    },
+    zero: {
+        worlds: ['grid', 'graph'],
+        label: 'Zero (Dijkstra)',
+        admissible8: true,
+        fn: () => 0,
+    },
+};
+
+export const DEFAULT_HEURISTIC = 'manhattan';
+export const DEFAULT_GRAPH_HEURISTIC = 'haversine';
+
+const EARTH_RADIUS_M = 6371000;
+
+/** Great-circle distance between two { lat, lng } points, in metres. */
+export function haversineMetres(a, b) {
+    const toRad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * toRad;
+    const dLng = (b.lng - a.lng) * toRad;
+    const s = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * toRad) * Math.cos(b.lat * toRad) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(s)));
+}
+
+export function getHeuristic(name = DEFAULT_HEURISTIC) {
+    return (HEURISTICS[name] ?? HEURISTICS[DEFAULT_HEURISTIC]).fn;
+}
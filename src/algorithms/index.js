@@ -0,0 +1,38 @@
+/**
+ * Algorithm registry.
+ * Every search shares one contract:
+ *   run(grid, startNode, endNode, options) → visitedNodesInOrder
+ * and leaves `previousNode` links on the grid so the route can be rebuilt
+ * with getNodesInShortestPathOrder(endNode). Passing `options.trace = []`
+ * additionally records one step per visited node (see ./trace);
+ * `frontier` names the order its recorded open list is in. `grid` may
+ * also be a road graph (see ./neighbors for the interface).
+ */
+import { astar } from './astar';
+import { bfs } from './bfs';
+import { dijkstra } from './dijkstra';
+import { greedyBestFirst } from './greedy';
+import { dfs } from './dfs';
+import { bidirectionalBfs, bidirectionalAstar } from './bidirectional';
+
+export { bidirectionalHeuristic } from './bidirectional';
+
+export { getNodesInShortestPathOrder } from './bfs';
+export { HEURISTICS, DEFAULT_HEURISTIC, DEFAULT_GRAPH_HEURISTIC } from './heuristics';
+export { getPathCost, getPathLength, isSuboptimal } from './path';
+export { MOVEMENT_MODES, DIAGONAL_RULES, getStepLength, isGraph } from './neighbors';
+export { solveRoute, solveLeg } from './multiStop';
+export { optimizeStopOrder, EXACT_LIMIT } from './tsp';
+export { DStarLite } from './dstarLite';
+
+export const ALGORITHMS = {
+    'A*': { run: astar, label: 'A* Weighted', weighted: true, optimal: true, usesHeuristic: true, usesEpsilon: true, frontier: 'Open list · lowest f' },
+    'Dijkstra': { run: dijkstra, label: 'Dijkstra', weighted: true, optimal: true, frontier: 'Open list · lowest g' },
+    'Greedy': { run: greedyBestFirst, label: 'Greedy Best-First', weighted: false, optimal: false, usesHeuristic: true, frontier: 'Open list · lowest h' },
+    'BFS': { run: bfs, label: 'BFS Blind', weighted: false, optimal: true, frontier: 'Queue · FIFO' },
+    'DFS': { run: dfs, label: 'DFS Deep-Dive', weighted: false, optimal: false, frontier: 'Stack · LIFO' },
+    'Bi-BFS': { run: bidirectionalBfs, label: 'Bidirectional BFS', weighted: false, optimal: true, frontier: 'Queue · FIFO (per side)' },
+    'Bi-A*': { run: bidirectionalAstar, label: 'Bidirectional A*', weighted: true, optimal: true, frontier: 'Open list · lowest f (per side)' },
+};
+
+export const ALGORITHM_IDS = Object.keys(ALGORITHMS);
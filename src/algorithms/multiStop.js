@@ -0,0 +1,50 @@
+/**
+ * Multi-Stop Routing
+ * Solves a route Start → waypoint₁ → … → End as independent legs with any
+ * registered algorithm, then stitches the legs into one path. Each leg runs
+ * on a freshly cleaned grid, since every search writes its own state onto
+ * the nodes.
+ */
+import { getNodesInShortestPathOrder } from './bfs';
+import { getPathCost } from './path';
+
+/**
+ * @param run       algorithm entry point, run(grid, start, end, options)
+ * @param makeGrid  returns a clean grid copy for each leg
+ * @param stops     ordered [{ row, col }] including Start and End — or
+ *                  [{ id }] node ids when makeGrid returns a road graph
+ * @returns { visitedNodesInOrder, path, legs, reached }
+ *          `path` is empty when any leg is unreachable.
+ */
+export function solveRoute(run, makeGrid, stops, options = {}) {
+    const visitedNodesInOrder = [];
+    const path = [];
+    const legs = [];
+
+    for (let i = 0; i < stops.length - 1; i++) {
+        const leg = solveLeg(run, makeGrid(), stops[i], stops[i + 1], options);
+        legs.push(leg);
+        visitedNodesInOrder.push(...leg.visitedNodesInOrder);
+        if (!leg.reached) return { visitedNodesInOrder, path: [], legs, reached: false };
+        // Each leg starts where the previous one ended — drop the duplicate joint
+        path.push(...(i === 0 ? leg.path : leg.path.slice(1)));
+    }
+
+    return { visitedNodesInOrder, path, legs, reached: true };
+}
+
+export function solveLeg(run, grid, from, to, options = {}) {
+    const startNode = nodeAt(grid, from);
+    const endNode = nodeAt(grid, to);
+    const visitedNodesInOrder = run(grid, startNode, endNode, options);
+    const path = getNodesInShortestPathOrder(endNode);
+    const reached = path[0] === startNode;
+    return {
+        visitedNodesInOrder,
+        path: reached ? path : [],
+        cost: reached ? getPathCost(path, grid) : Infinity,
+        reached,
+    };
+}
+
+const nodeAt = (world, stop) => (stop.id !== undefined ? world.nodes[stop.id] : world[stop.row][stop.col]);
@@ -0,0 +1,69 @@
+/**
+ * Neighbour lookup and move costs shared by every search algorithm.
+ *
+ * A search "world" is either a grid (grid[row][col] of nodes) or a graph
+ * object exposing the same two questions the algorithms ask:
+ *   neighbors(node, options) → [node]   (options.reverse follows edges backwards)
+ *   moveCost(from, to)       → number
+ * See ../roadGraph for the street-network implementation.
+ *
+ * Grid options (passed straight through from each algorithm's `options`):
+ *   movement     — 4 (orthogonal only, default) or 8 (adds diagonals)
+ *   diagonalRule — when a diagonal step may pass two building corners:
+ *     'always'    diagonals are always allowed
+ *     'noSqueeze' blocked only when BOTH orthogonal cells are walls (default)
+ *     'noCorner'  blocked when EITHER orthogonal cell is a wall
+ */
+export const MOVEMENT_MODES = [4, 8];
+
+export const DIAGONAL_RULES = {
+    always: 'Always allow',
+    noSqueeze: 'No squeezing between 2 buildings',
+    noCorner: 'Never cut a building corner',
+};
+
+const ORTHOGONAL = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const DIAGONAL = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+export const isGraph = world => typeof world?.neighbors === 'function';
+
+export function getNeighbors(node, grid, options = {}) {
+    if (isGraph(grid)) return grid.neighbors(node, options);
+    const { col, row } = node;
+    const neighbors = [];
+    for (const [dr, dc] of ORTHOGONAL) {
+        const cell = grid[row + dr]?.[col + dc];
+        if (cell) neighbors.push(cell);
+    }
+    if (options.movement !== 8) return neighbors;
+
+    const rule = options.diagonalRule ?? 'noSqueeze';
+    for (const [dr, dc] of DIAGONAL) {
+        const cell = grid[row + dr]?.[col + dc];
+        if (!cell) continue;
+        const sideA = grid[row + dr][col];
+        const sideB = grid[row][col + dc];
+        if (rule === 'noSqueeze' && sideA.isWall && sideB.isWall) continue;
+        if (rule === 'noCorner' && (sideA.isWall || sideB.isWall)) continue;
+        neighbors.push(cell);
+    }
+    return neighbors;
+}
+
+export function isDiagonalMove(from, to) {
+    return from.row !== to.row && from.col !== to.col;
+}
+
+/** Grid distance of one step: 1 orthogonally, √2 diagonally. */
+export function getStepLength(from, to) {
+    return isDiagonalMove(from, to) ? Math.SQRT2 : 1;
+}
+
+/**
+ * Cost of moving from → to. On a grid: terrain weight of the cell entered,
+ * √2-scaled on diagonals. On a graph: the edge's own cost.
+ */
+export function getMoveCost(from, to, world) {
+    if (isGraph(world)) return world.moveCost(from, to);
+    return (to.weight || 1) * getStepLength(from, to);
+}
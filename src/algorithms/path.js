@@ -0,0 +1,25 @@
+/**
+ * Path cost helpers.
+ * Entering a cell costs that cell's terrain weight (√2× on a diagonal step),
+ * so the cost of a route is the sum of move costs along it. Pass the road
+ * graph as `world` to price graph routes by their edges instead.
+ */
+import { getMoveCost, getStepLength } from './neighbors';
+
+export function getPathCost(path, world) {
+    let cost = 0;
+    for (let i = 1; i < path.length; i++) cost += getMoveCost(path[i - 1], path[i], world);
+    return cost;
+}
+
+/** Route length in grid steps, counting each diagonal as √2. */
+export function getPathLength(path) {
+    let length = 0;
+    for (let i = 1; i < path.length; i++) length += getStepLength(path[i - 1], path[i]);
+    return length;
+}
+
+/** True when `cost` is worse than `optimalCost` beyond floating-point noise. */
+export function isSuboptimal(cost, optimalCost) {
+    return cost - optimalCost > 1e-9;
+}
@@ -0,0 +1,106 @@
+/**
+ * Binary Min-Heap Priority Queue
+ * Shared open list for the weighted searches (A*, Dijkstra, Greedy, Bi-A*).
+ *
+ * push / pop are O(log n). There is no decrease-key: when a node's cost
+ * improves, push it again and skip the stale copy on pop (lazy deletion) —
+ * callers already keep a closed set for exactly this.
+ *
+ * Ties are broken deterministically so the visit order is reproducible:
+ *   1. lower priority            (e.g. f(n))
+ *   2. lower tieBreak            (e.g. h(n) — prefer nodes nearer the goal)
+ *   3. earlier insertion order   (FIFO among exact ties)
+ */
+export class PriorityQueue {
+    constructor() {
+        this.heap = [];
+        this.counter = 0;
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    push(item, priority, tieBreak = 0) {
+        this.heap.push({ item, priority, tieBreak, seq: this.counter++ });
+        this.siftUp(this.heap.length - 1);
+    }
+
+    /** Removes and returns the item with the lowest priority (undefined if empty). */
+    pop() {
+        const { heap } = this;
+        if (heap.length === 0) return undefined;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            this.siftDown(0);
+        }
+        return top.item;
+    }
+
+    peek() {
+        return this.heap[0]?.item;
+    }
+
+    peekPriority() {
+        return this.heap.length > 0 ? this.heap[0].priority : Infinity;
+    }
+
+    /**
+     * The first `limit` items in pop order that pass `accept`, without
+     * modifying the queue. Walks the heap best-first from the root, so it
+     * only looks at the entries ahead of the last one returned — no sort of
+     * the whole heap.
+     */
+    peekFirst(limit, accept = () => true) {
+        const { heap } = this;
+        const items = [];
+        const candidates = heap.length > 0 ? [0] : [];
+        while (candidates.length > 0 && items.length < limit) {
+            let best = 0;
+            for (let i = 1; i < candidates.length; i++) {
+                if (compare(heap[candidates[i]], heap[candidates[best]]) < 0) best = i;
+            }
+            const [index] = candidates.splice(best, 1);
+            if (accept(heap[index].item)) items.push(heap[index].item);
+            for (const child of [2 * index + 1, 2 * index + 2]) {
+                if (child < heap.length) candidates.push(child);
+            }
+        }
+        return items;
+    }
+
+    siftUp(index) {
+        const { heap } = this;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (compare(heap[index], heap[parent]) >= 0) break;
+            [heap[index], heap[parent]] = [heap[parent], heap[index]];
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const { heap } = this;
+        const length = heap.length;
+        for (;;) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+            if (left < length && compare(heap[left], heap[smallest]) < 0) smallest = left;
+            if (right < length && compare(heap[right], heap[smallest]) < 0) smallest = right;
+            if (smallest === index) break;
+            [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+            index = smallest;
+        }
+    }
+}
+
+function compare(a, b) {
+    return (a.priority - b.priority) || (a.tieBreak - b.tieBreak) || (a.seq - b.seq);
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { PriorityQueue } from './priorityQueue';
+
+const drain = queue => {
+    const items = [];
+    while (!queue.isEmpty()) items.push(queue.pop());
+    return items;
+};
+
+describe('PriorityQueue', () => {
+    it('pops by priority, then tie-break, then insertion order', () => {
+        const queue = new PriorityQueue();
+        queue.push('c', 2, 0);
+        queue.push('far', 1, 5);
+        queue.push('a', 1, 0);
+        queue.push('b', 1, 0);
+        queue.push('near', 1, 1);
+        expect(drain(queue)).toEqual(['a', 'b', 'near', 'far', 'c']);
+        expect(queue.pop()).toBeUndefined();
+        expect(queue.peekPriority()).toBe(Infinity);
+    });
+
+    it('skips stale copies when a node is pushed again at a lower cost', () => {
+        // The search pattern: re-push on improvement, ignore anything already closed
+        const queue = new PriorityQueue();
+        queue.push('x', 9);
+        queue.push('y', 5);
+        queue.push('x', 3);
+        const closed = new Set();
+        const order = [];
+        while (!queue.isEmpty()) {
+            const item = queue.pop();
+            if (closed.has(item)) continue;
+            closed.add(item);
+            order.push(item);
+        }
+        expect(order).toEqual(['x', 'y']);
+    });
+
+    it('peeks the head in pop order without changing the queue', () => {
+        const queue = new PriorityQueue();
+        for (const [item, priority] of [['d', 4], ['a', 1], ['e', 5], ['b', 2], ['c', 3], ['a', 6]]) {
+            queue.push(item, priority);
+        }
+        expect(queue.peekFirst(3)).toEqual(['a', 'b', 'c']);
+        expect(queue.peekFirst(3, item => item !== 'b')).toEqual(['a', 'c', 'd']);
+        expect(queue.size).toBe(6);
+        expect(drain(queue)).toEqual(['a', 'b', 'c', 'd', 'e', 'a']);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Search Trace
+ * When an algorithm is given `options.trace` (an array), it appends one step
+ * per expanded node — in the same order as visitedNodesInOrder — so the
+ * playback controller can replay, pause and rewind the search:
+ *
+ *   { node, relaxed: [cell], frontier: [cell], frontierSize, direction? }
+ *
+ * Each cell is a plain snapshot { row, col, g, h, f, prev } taken at that
+ * moment (prev is the parent cell or null), so later mutations of the grid
+ * do not rewrite history. Road-graph nodes are identified by { id } instead
+ * of { row, col }.
+ */
+export const FRONTIER_SNAPSHOT_LIMIT = 40;
+
+const ref = node => (node.id !== undefined ? { id: node.id } : { row: node.row, col: node.col });
+
+export function snapshot(node) {
+    const parent = node.previousNode;
+    return {
+        ...ref(node),
+        g: node.distance,
+        h: node.heuristic,
+        f: node.totalCost,
+        prev: parent ? ref(parent) : null,
+    };
+}
+
+/**
+ * @param trace        options.trace — nothing is recorded when absent
+ * @param getFrontier  (limit) → { nodes, size }: the first `limit` open
+ *                     nodes in expansion order and how many are open in
+ *                     all; only called when tracing. Only the head is
+ *                     snapshotted, so a step never copies the whole open list.
+ */
+export function recordStep(trace, node, relaxed, getFrontier, extra = {}) {
+    if (!trace) return;
+    const { nodes, size } = getFrontier(FRONTIER_SNAPSHOT_LIMIT);
+    trace.push({
+        node: snapshot(node),
+        relaxed: relaxed.map(snapshot),
+        frontier: nodes.map(snapshot),
+        frontierSize: size,
+        ...extra,
+    });
+}
+
+/** Frontier of a FIFO list expanded front to back from index `from`, then of the list queued after it. */
+export const listFrontier = (list, from = 0, after = []) => limit => {
+    const nodes = list.slice(from, from + limit);
+    nodes.push(...after.slice(0, limit - nodes.length));
+    return { nodes, size: list.length - from + after.length };
+};
+
+/**
+ * Frontier of a lazily-deleted priority queue: its live entries (not in
+ * `closedSet`, first copy only) in pop order; `size` is the caller's count
+ * of open nodes, as the heap also holds stale copies.
+ */
+export const heapFrontier = (queue, closedSet, size) => limit => {
+    const seen = new Set();
+    const nodes = queue.peekFirst(limit, node => {
+        if (closedSet?.has(node) || seen.has(node)) return false;
+        seen.add(node);
+        return true;
+    });
+    return { nodes, size };
+};
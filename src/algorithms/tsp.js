@@ -0,0 +1,101 @@
+/**
+ * Waypoint Order Optimizer
+ * Chooses the order to visit waypoints between a fixed Start and End —
+ * the open-path Travelling Salesman Problem — from a matrix of leg costs.
+ *
+ *   ≤ EXACT_LIMIT waypoints → brute force over every permutation (optimal)
+ *   more                    → nearest-neighbour tour improved by 2-opt
+ *
+ * Every complete order that gets costed is logged in `tried`, so the UI can
+ * show students how many permutations each strategy had to evaluate.
+ */
+export const EXACT_LIMIT = 7;
+
+/**
+ * @param count    number of waypoints k
+ * @param legCost  legCost(i, j) for stop indices; 0 = Start, 1..k = waypoints,
+ *                 k + 1 = End. Infinity when the leg is unreachable.
+ * @returns { order, cost, tried: [{ order, cost }], exact }
+ *          `order` lists waypoint indices (1..k) in visiting order.
+ */
+export function optimizeStopOrder(count, legCost) {
+    const waypoints = Array.from({ length: count }, (_, i) => i + 1);
+    const tourCost = order => {
+        let cost = 0;
+        let prev = 0;
+        for (const stop of order) {
+            cost += legCost(prev, stop);
+            prev = stop;
+        }
+        return cost + legCost(prev, count + 1);
+    };
+
+    return count <= EXACT_LIMIT
+        ? bruteForce(waypoints, tourCost)
+        : nearestNeighbourTwoOpt(waypoints, legCost, tourCost);
+}
+
+function bruteForce(waypoints, tourCost) {
+    const tried = [];
+    let best = { order: waypoints, cost: Infinity };
+    for (const order of permutations(waypoints)) {
+        const cost = tourCost(order);
+        tried.push({ order, cost });
+        if (cost < best.cost) best = { order, cost };
+    }
+    return { ...best, tried, exact: true };
+}
+
+function nearestNeighbourTwoOpt(waypoints, legCost, tourCost) {
+    const tried = [];
+
+    // Greedy construction: always go to the cheapest unvisited waypoint next
+    const remaining = new Set(waypoints);
+    const order = [];
+    let prev = 0;
+    while (remaining.size > 0) {
+        let next = null;
+        for (const stop of remaining) {
+            if (next === null || legCost(prev, stop) < legCost(prev, next)) next = stop;
+        }
+        order.push(next);
+        remaining.delete(next);
+        prev = next;
+    }
+    let best = { order, cost: tourCost(order) };
+    tried.push(best);
+
+    // 2-opt: reverse any segment that lowers the total, until none does
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < best.order.length - 1; i++) {
+            for (let j = i + 1; j < best.order.length; j++) {
+                const candidate = [
+                    ...best.order.slice(0, i),
+                    ...best.order.slice(i, j + 1).reverse(),
+                    ...best.order.slice(j + 1),
+                ];
+                const cost = tourCost(candidate);
+                tried.push({ order: candidate, cost });
+                if (cost < best.cost - 1e-9) {
+                    best = { order: candidate, cost };
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return { ...best, tried, exact: false };
+}
+
+function* permutations(items) {
+    if (items.length <= 1) {
+        yield items.slice();
+        return;
+    }
+    for (let i = 0; i < items.length; i++) {
+        const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+        for (const perm of permutations(rest)) yield [items[i], ...perm];
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Headless Benchmark
+ * Runs every selected algorithm, without animation or tracing, over a batch
+ * of seeded generated grids (see ./generators) and records per run:
+ *   expanded — nodes the search visited (both sides for bidirectional)
+ *   cost     — weighted cost of the route it returned
+ *   gap      — % above Dijkstra's cost on the same grid (0 = optimal)
+ *   ms       — wall-clock search time
+ * Grid n uses layout seed `seed + n`, and its Start/End are drawn from the
+ * same stream, so a batch is reproduced exactly from its seed. Meant to run
+ * inside ./benchmark.worker so the 3D scene stays responsive.
+ */
+import { ALGORITHMS, solveLeg } from './algorithms';
+import { generateLayout, createRandom, isBlocked } from './generators';
+import { cellWeight } from './terrainWeights';
+
+export const BENCHMARK_RUNS = { min: 1, max: 500, default: 50 };
+
+// Start and End at least this share of the grid side apart (Manhattan)
+const MIN_SEPARATION = 0.75;
+
+const CSV_COLUMNS = ['run', 'seed', 'algorithm', 'reached', 'expanded', 'openCells', 'cost', 'gap', 'ms'];
+
+function pickMarkers(size, rand) {
+    const cell = () => ({ row: Math.floor(rand() * size), col: Math.floor(rand() * size) });
+    for (;;) {
+        const start = cell();
+        const end = cell();
+        if (Math.abs(start.row - end.row) + Math.abs(start.col - end.col) >= size * MIN_SEPARATION) return { start, end };
+    }
+}
+
+// Bare search nodes: just the fields the algorithms read and write
+const buildGrid = (cells, weights) => cells.map((row, r) => row.map(({ terrain: key, roadTypes }, c) => {
+    const terrain = { key, isWall: isBlocked(key) };
+    return {
+        row: r, col: c, terrain, isWall: terrain.isWall, weight: cellWeight({ terrain, roadTypes }, weights),
+        distance: Infinity, isVisited: false, previousNode: null, totalCost: Infinity, heuristic: 0,
+    };
+}));
+
+/**
+ * @param config      { runs, generator, density, seed, size, algorithms, options, weights } —
+ *                    options are the search options (heuristic, weight ε, movement, diagonalRule)
+ * @param onProgress  called as (done, total) after each grid
+ * @returns one row per (grid, algorithm), in run order
+ */
+export function runBenchmark({ runs, generator, density, seed, size, algorithms, options, weights }, onProgress) {
+    const rows = [];
+    for (let run = 0; run < runs; run++) {
+        const layoutSeed = (seed + run) >>> 0;
+        const { start, end } = pickMarkers(size, createRandom(layoutSeed));
+        const { cells } = generateLayout({ generator, seed: layoutSeed, size, start, end, density });
+        const openCells = cells.flat().filter(c => !isBlocked(c.terrain)).length;
+
+        const measure = id => {
+            const t0 = performance.now();
+            const leg = solveLeg(ALGORITHMS[id].run, buildGrid(cells, weights), start, end, options);
+            return { leg, ms: performance.now() - t0 };
+        };
+        // Dijkstra's cost is the optimum every route is measured against
+        const reference = measure('Dijkstra');
+        for (const algorithm of algorithms) {
+            const { leg, ms } = algorithm === 'Dijkstra' ? reference : measure(algorithm);
+            const optimal = reference.leg.cost;
+            rows.push({
+                run: run + 1,
+                seed: layoutSeed,
+                algorithm,
+                reached: leg.reached,
+                expanded: leg.visitedNodesInOrder.length,
+                openCells,
+                cost: leg.reached ? leg.cost : null,
+                gap: leg.reached && optimal > 0 ? ((leg.cost - optimal) / optimal) * 100 : null,
+                ms,
+            });
+        }
+        onProgress?.(run + 1, runs);
+    }
+    return rows;
+}
+
+const mean = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Per-algorithm summary, in the order the algorithms were run:
+ * [{ algorithm, runs, reached, expanded, medianExpanded, explored (% of open
+ *    cells), cost, gap, optimalRate (%), ms }] — means unless named otherwise
+ */
+export function summarize(rows) {
+    const byAlgorithm = new Map();
+    for (const row of rows) {
+        if (!byAlgorithm.has(row.algorithm)) byAlgorithm.set(row.algorithm, []);
+        byAlgorithm.get(row.algorithm).push(row);
+    }
+    return [...byAlgorithm].map(([algorithm, runs]) => {
+        const reached = runs.filter(r => r.reached);
+        return {
+            algorithm,
+            runs: runs.length,
+            reached: reached.length,
+            expanded: mean(runs.map(r => r.expanded)),
+            medianExpanded: median(runs.map(r => r.expanded)),
+            explored: mean(runs.map(r => (r.expanded / r.openCells) * 100)),
+            cost: mean(reached.map(r => r.cost)),
+            gap: mean(reached.map(r => r.gap)),
+            optimalRate: reached.length > 0 ? (reached.filter(r => r.gap < 1e-7).length / reached.length) * 100 : null,
+            ms: mean(runs.map(r => r.ms)),
+        };
+    });
+}
+
+/** Counts of `values` in `bins` equal-width bins over [min, max]. */
+export function histogram(values, bins, min, max) {
+    const counts = new Array(bins).fill(0);
+    const width = (max - min) / bins || 1;
+    for (const v of values) counts[Math.min(bins - 1, Math.floor((v - min) / width))] += 1;
+    return counts;
+}
+
+export function toCSV(rows) {
+    const cell = v => (v === null ? '' : typeof v === 'number' && !Number.isInteger(v) ? v.toFixed(4) : String(v));
+    return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(key => cell(row[key])).join(','))].join('\n');
+}
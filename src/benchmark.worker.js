@@ -0,0 +1,17 @@
+/**
+ * Benchmark Worker
+ * Runs ./benchmark off the main thread. Receives one config message and
+ * posts back { type: 'progress', done, total } per grid, then
+ * { type: 'done', rows } — or { type: 'error', message }. Cancel by
+ * terminating the worker.
+ */
+import { runBenchmark } from './benchmark';
+
+self.onmessage = ({ data }) => {
+    try {
+        const rows = runBenchmark(data, (done, total) => self.postMessage({ type: 'progress', done, total }));
+        self.postMessage({ type: 'done', rows });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
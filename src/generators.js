@@ -0,0 +1,259 @@
+/**
+ * Layout Generators
+ * Seeded alternatives to the map-derived grid:
+ *   backtracker — recursive-backtracker maze (long winding corridors)
+ *   division    — recursive-division maze (open rooms split by walls)
+ *   prim        — randomized Prim's maze (many short dead ends)
+ *   random      — each cell blocked with probability `density`
+ *   city        — street grid with avenues, building blocks, parks, alleys
+ * Every generator draws from a mulberry32 stream seeded by the user, so a
+ * layout is reproduced exactly from (generator, seed, options, markers).
+ *
+ * Output matches ./rasterize: gridSize × gridSize array of { terrain,
+ * roadTypes } with TERRAIN keys. Start and End always stand on open ground;
+ * with `reachable` the fewest walls needed to join them are knocked through
+ * into alley, without it End is sealed in for a "no path" lesson.
+ */
+
+export const GENERATORS = {
+    backtracker: 'Maze — recursive backtracker',
+    division: 'Maze — recursive division',
+    prim: "Maze — Prim's algorithm",
+    random: 'Random obstacles',
+    city: 'City blocks',
+};
+
+export const DENSITY_RANGE = { min: 0.05, max: 0.6, default: 0.3 };
+
+const WALL = 'BUILDING';
+const OPEN = 'ROAD';
+
+/** Seed text → 32-bit integer; whole numbers are used as-is, anything else is hashed (FNV-1a). */
+export function seedFrom(text) {
+    const trimmed = String(text).trim();
+    if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: small, fast, and good enough for level generation
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const randInt = (rand, lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+const filled = (size, terrain) => Array.from({ length: size }, () => Array(size).fill(terrain));
+const STEPS = [[-1, 0], [0, 1], [1, 0], [0, -1]];
+
+function shuffle(items, rand) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// Mazes carve between lattice cells on even coordinates, two steps apart
+const latticeNeighbours = (size, row, col) => STEPS
+    .map(([dr, dc]) => ({ row: row + dr * 2, col: col + dc * 2 }))
+    .filter(n => n.row >= 0 && n.col >= 0 && n.row < size && n.col < size);
+
+function backtracker(size, rand) {
+    const cells = filled(size, WALL);
+    const stack = [{ row: 0, col: 0 }];
+    cells[0][0] = OPEN;
+    while (stack.length > 0) {
+        const current = stack[stack.length - 1];
+        const next = shuffle(latticeNeighbours(size, current.row, current.col), rand)
+            .find(n => cells[n.row][n.col] === WALL);
+        if (!next) {
+            stack.pop();
+            continue;
+        }
+        cells[(current.row + next.row) / 2][(current.col + next.col) / 2] = OPEN;
+        cells[next.row][next.col] = OPEN;
+        stack.push(next);
+    }
+    return cells;
+}
+
+function prim(size, rand) {
+    const cells = filled(size, WALL);
+    const start = { row: 2 * randInt(rand, 0, Math.floor((size - 1) / 2)), col: 2 * randInt(rand, 0, Math.floor((size - 1) / 2)) };
+    cells[start.row][start.col] = OPEN;
+    // Frontier entries are (lattice cell, the carved cell it would join)
+    const frontier = latticeNeighbours(size, start.row, start.col).map(cell => ({ cell, from: start }));
+    while (frontier.length > 0) {
+        const [{ cell, from }] = frontier.splice(Math.floor(rand() * frontier.length), 1);
+        if (cells[cell.row][cell.col] === OPEN) continue;
+        cells[(cell.row + from.row) / 2][(cell.col + from.col) / 2] = OPEN;
+        cells[cell.row][cell.col] = OPEN;
+        for (const n of latticeNeighbours(size, cell.row, cell.col)) {
+            if (cells[n.row][n.col] === WALL) frontier.push({ cell: n, from: cell });
+        }
+    }
+    return cells;
+}
+
+// Walls go on odd rows/cols and gaps on even ones, so a later wall can never plug an earlier gap
+function division(size, rand) {
+    const cells = filled(size, OPEN);
+    const pick = (lo, hi, parity) => {
+        const options = [];
+        for (let i = lo; i <= hi; i++) if (i % 2 === parity) options.push(i);
+        return options.length > 0 ? options[Math.floor(rand() * options.length)] : null;
+    };
+    const stack = [{ r0: 0, c0: 0, r1: size - 1, c1: size - 1 }];
+    while (stack.length > 0) {
+        const { r0, c0, r1, c1 } = stack.pop();
+        const height = r1 - r0 + 1;
+        const width = c1 - c0 + 1;
+        if (height < 3 || width < 3) continue;
+        if (height > width || (height === width && rand() < 0.5)) {
+            const wall = pick(r0 + 1, r1 - 1, 1);
+            const gap = pick(c0, c1, 0);
+            if (wall === null || gap === null) continue;
+            for (let c = c0; c <= c1; c++) if (c !== gap) cells[wall][c] = WALL;
+            stack.push({ r0, c0, r1: wall - 1, c1 }, { r0: wall + 1, c0, r1, c1 });
+        } else {
+            const wall = pick(c0 + 1, c1 - 1, 1);
+            const gap = pick(r0, r1, 0);
+            if (wall === null || gap === null) continue;
+            for (let r = r0; r <= r1; r++) if (r !== gap) cells[r][wall] = WALL;
+            stack.push({ r0, c0, r1, c1: wall - 1 }, { r0, c0: wall + 1, r1, c1 });
+        }
+    }
+    return cells;
+}
+
+function randomObstacles(size, rand, { density }) {
+    return Array.from({ length: size }, () => Array.from({ length: size }, () => {
+        if (rand() < density) return rand() < 0.25 ? 'TOWER' : WALL;
+        const ground = rand();
+        return ground < 0.6 ? OPEN : ground < 0.85 ? 'ALLEY' : 'PARK';
+    }));
+}
+
+function city(size, rand) {
+    // Street lines every 4–6 cells; one of each direction is an avenue
+    const streets = () => {
+        const lines = [];
+        for (let i = randInt(rand, 0, 2); i < size; i += randInt(rand, 4, 6)) lines.push(i);
+        return lines;
+    };
+    const rows = streets();
+    const cols = streets();
+    const avenueRow = rows[Math.floor(rand() * rows.length)];
+    const avenueCol = cols[Math.floor(rand() * cols.length)];
+
+    const cells = filled(size, WALL);
+    // Runs of cells between consecutive street lines
+    const blocks = lines => {
+        const spans = [];
+        let from = 0;
+        for (const line of [...lines, size]) {
+            if (line > from) spans.push({ from, to: line - 1 });
+            from = line + 1;
+        }
+        return spans;
+    };
+    for (const band of blocks(rows)) {
+        for (const span of blocks(cols)) {
+            const kind = rand();
+            const alley = kind >= 0.15 && kind < 0.45;
+            const midRow = Math.floor((band.from + band.to) / 2);
+            for (let r = band.from; r <= band.to; r++) {
+                for (let c = span.from; c <= span.to; c++) {
+                    if (kind < 0.15) cells[r][c] = 'PARK';
+                    else if (alley && r === midRow) cells[r][c] = 'ALLEY';
+                    else cells[r][c] = rand() < 0.25 ? 'TOWER' : WALL;
+                }
+            }
+        }
+    }
+    for (const r of rows) for (let c = 0; c < size; c++) cells[r][c] = r === avenueRow ? 'HIGHWAY' : OPEN;
+    for (const c of cols) for (let r = 0; r < size; r++) cells[r][c] = c === avenueCol ? 'HIGHWAY' : OPEN;
+    return cells;
+}
+
+const BUILDERS = { backtracker, division, prim, random: randomObstacles, city };
+
+/** True for the TERRAIN keys no search can enter. */
+export const isBlocked = key => key === WALL || key === 'TOWER' || key === 'WATER';
+
+/**
+ * Fewest walls between a and b over 4-way moves (0-1 BFS: open cells cost 0,
+ * walls 1), as the list of walls to knock through.
+ */
+function wallsBetween(cells, a, b) {
+    const size = cells.length;
+    const index = ({ row, col }) => row * size + col;
+    const cost = new Array(size * size).fill(Infinity);
+    const parent = new Int32Array(size * size).fill(-1);
+    const deque = [a];
+    cost[index(a)] = 0;
+    while (deque.length > 0) {
+        const current = deque.shift();
+        for (const [dr, dc] of STEPS) {
+            const row = current.row + dr;
+            const col = current.col + dc;
+            if (row < 0 || col < 0 || row >= size || col >= size) continue;
+            const step = isBlocked(cells[row][col]) ? 1 : 0;
+            const next = cost[index(current)] + step;
+            if (next >= cost[row * size + col]) continue;
+            cost[row * size + col] = next;
+            parent[row * size + col] = index(current);
+            if (step === 0) deque.unshift({ row, col });
+            else deque.push({ row, col });
+        }
+    }
+    const walls = [];
+    for (let i = index(b); i !== index(a); i = parent[i]) {
+        const row = Math.floor(i / size);
+        const col = i % size;
+        if (isBlocked(cells[row][col])) walls.push({ row, col });
+    }
+    return walls;
+}
+
+/**
+ * @param options  { generator, seed, size, start, end, density, reachable }
+ * @returns { cells, carved } — cells as described in the header; carved is
+ *          how many walls were opened to keep Start and End connected
+ */
+export function generateLayout({ generator, seed, size, start, end, density = DENSITY_RANGE.default, reachable = true }) {
+    if (!BUILDERS[generator]) throw new RangeError(`Unknown generator "${generator}"`);
+    if (!reachable && Math.abs(start.row - end.row) <= 1 && Math.abs(start.col - end.col) <= 1) {
+        throw new RangeError('Start and End touch — move them apart for a no-path layout');
+    }
+    const keys = BUILDERS[generator](size, createRandom(seed), { density });
+    for (const { row, col } of [start, end]) if (isBlocked(keys[row][col])) keys[row][col] = OPEN;
+
+    let carved = 0;
+    if (reachable) {
+        const walls = wallsBetween(keys, start, end);
+        for (const { row, col } of walls) keys[row][col] = 'ALLEY';
+        carved = walls.length;
+    } else {
+        // A ring of walls round End blocks diagonal moves too
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                const row = end.row + dr;
+                const col = end.col + dc;
+                if ((dr || dc) && row >= 0 && col >= 0 && row < size && col < size) keys[row][col] = WALL;
+            }
+        }
+    }
+    return { cells: keys.map(row => row.map(terrain => ({ terrain, roadTypes: [] }))), carved };
+}
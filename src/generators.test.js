@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { GENERATORS, createRandom, generateLayout, isBlocked, seedFrom } from './generators';
+
+const SIZE = 21;
+const START = { row: 1, col: 1 };
+const END = { row: SIZE - 2, col: SIZE - 2 };
+
+const layout = (generator, seed, extra = {}) => generateLayout({ generator, seed, size: SIZE, start: START, end: END, ...extra });
+const terrain = ({ cells }) => cells.map(row => row.map(cell => cell.terrain));
+
+describe('createRandom', () => {
+    it('replays the same stream for the same seed', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const c = createRandom(43);
+        const first = Array.from({ length: 8 }, a);
+        expect(Array.from({ length: 8 }, b)).toEqual(first);
+        expect(Array.from({ length: 8 }, c)).not.toEqual(first);
+        for (const value of first) {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+});
+
+describe('seedFrom', () => {
+    it('uses whole numbers as-is and hashes anything else stably', () => {
+        expect(seedFrom(' 1234 ')).toBe(1234);
+        expect(seedFrom('dharwad')).toBe(seedFrom('dharwad'));
+        expect(seedFrom('dharwad')).not.toBe(seedFrom('mysuru'));
+    });
+});
+
+describe('generateLayout', () => {
+    for (const generator of Object.keys(GENERATORS)) {
+        it(`rebuilds the same ${generator} layout from the same seed`, () => {
+            const first = layout(generator, 7);
+            expect(layout(generator, 7)).toEqual(first);
+            expect(terrain(layout(generator, 8))).not.toEqual(terrain(first));
+            expect(isBlocked(first.cells[START.row][START.col].terrain)).toBe(false);
+            expect(isBlocked(first.cells[END.row][END.col].terrain)).toBe(false);
+        });
+    }
+
+    it('rejects an unknown generator', () => {
+        expect(() => layout('spiral', 1)).toThrow(RangeError);
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * Overpass Query
+ * The one OSM query the app asks Overpass for: roads plus the building,
+ * park, landuse and water features ./rasterize reads. Shared by the live
+ * fetch in ./roadNetwork and scripts/fetch-osm-snapshot.js, so a bundled
+ * snapshot holds exactly what a live fetch would.
+ * Kept free of browser and Vite APIs so Node can import it.
+ */
+
+export const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+
+/** Overpass QL for every feature inside `bounds` ({ north, south, east, west }). */
+export function overpassQuery(bounds) {
+    const bbox = `${bounds.south},${bounds.west},${bounds.north},${bounds.east}`;
+    return `
+    [out:json][timeout:25];
+    (
+      way["highway"](${bbox});
+      way["building"](${bbox});
+      way["leisure"="park"](${bbox});
+      way["landuse"](${bbox});
+      way["waterway"](${bbox});
+      way["natural"="water"](${bbox});
+    );
+    out body;
+    >;
+    out skel qt;
+  `;
+}
+
+/** POSTs the query for `bounds` and resolves to the raw JSON response. */
+export async function fetchOverpass(bounds) {
+    const res = await fetch(OVERPASS_URL, {
+        method: 'POST',
+        body: `data=${encodeURIComponent(overpassQuery(bounds))}`,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    });
+
+    if (!res.ok) throw new Error(`Overpass API error: ${res.status}`);
+    return res.json();
+}
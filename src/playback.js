@@ -0,0 +1,139 @@
+/**
+ * Search Playback Timeline
+ * Turns finished search runs into a list of animation frames that can be
+ * played, paused, stepped and scrubbed. What a cell shows at any frame is
+ * a few bits in a typed buffer (see CELL_FLAGS), so playing forward only
+ * touches the cells each new frame names, and rewinding replays the bits
+ * from frame 0 without rebuilding the grid.
+ * Runs on a road graph produce the same frames, with each event naming a
+ * graph node `id` instead of a grid cell.
+ * Each run is a lane, numbered by its place in the runs list: a single
+ * search is lane 0, a race has up to MAX_LANES of them.
+ */
+
+// Per-frame delays in ms (at 1× speed): exploring, then drawing the path
+const DELAYS = {
+    single: { visit: 7, path: 22 },
+    race: { visit: 9, path: 20 },
+};
+
+export const MAX_LANES = 4;
+
+/**
+ * Bit a cell's playback state gets per frame kind and lane: visits in the
+ * low nibble, paths in the high one, so a cell's flags fit one byte.
+ */
+export const CELL_FLAGS = {
+    visit: lane => 1 << lane,
+    path: lane => 1 << (MAX_LANES + lane),
+};
+export const VISIT_MASK = (1 << MAX_LANES) - 1;
+export const PATH_MASK = VISIT_MASK << MAX_LANES;
+
+/**
+ * @param runs  [{ visited, path, trace }] — one per lane, at most MAX_LANES.
+ *              Runs advance in lockstep, one visited node each per frame,
+ *              followed by their paths (only for runs that reached End).
+ * @returns     [{ kind: 'visit' | 'path', delay, events: [{ lane, row, col, id, step }] }]
+ */
+export function buildTimeline(runs) {
+    const delays = runs.length > 1 ? DELAYS.race : DELAYS.single;
+    const frames = [];
+
+    const visitLength = Math.max(0, ...runs.map(r => r.visited.length));
+    for (let i = 0; i < visitLength; i++) {
+        const events = [];
+        runs.forEach(({ visited, trace }, lane) => {
+            if (i < visited.length) {
+                const { row, col, id } = visited[i];
+                events.push({ lane, row, col, id, step: trace?.[i] ?? null });
+            }
+        });
+        frames.push({ kind: 'visit', delay: delays.visit, events });
+    }
+
+    const pathLength = Math.max(0, ...runs.map(r => r.path.length));
+    for (let i = 0; i < pathLength; i++) {
+        const events = [];
+        runs.forEach(({ path }, lane) => {
+            if (i < path.length) {
+                const { row, col, id } = path[i];
+                events.push({ lane, row, col, id, step: null });
+            }
+        });
+        frames.push({ kind: 'path', delay: delays.path, events });
+    }
+
+    return frames;
+}
+
+/**
+ * The same timeline with only `lane`'s events — frame for frame, so a
+ * split-screen pane stays in step with the shared playback position.
+ */
+export const laneFrames = (frames, lane) => frames.map(frame => ({
+    ...frame,
+    events: frame.events.filter(e => e.lane === lane),
+}));
+
+/**
+ * ORs the CELL_FLAGS of frames [from, to) into `flags` (one byte per cell,
+ * index row * cols + col) and returns the indices whose byte changed.
+ */
+export function applyFrameFlags(flags, frames, from, to, cols) {
+    const changed = [];
+    for (let i = from; i < to; i++) {
+        const { kind, events } = frames[i];
+        for (const { lane, row, col } of events) {
+            const index = row * cols + col;
+            const next = flags[index] | CELL_FLAGS[kind](lane);
+            if (next === flags[index]) continue;
+            flags[index] = next;
+            changed.push(index);
+        }
+    }
+    return changed;
+}
+
+/** Live counters after `count` frames: { visited, path } — nodes explored / path cells drawn, per lane. */
+export function countFrames(frames, count, lanes) {
+    const counts = { visited: new Array(lanes).fill(0), path: new Array(lanes).fill(0) };
+    for (let i = 0; i < count; i++) {
+        const { kind, events } = frames[i];
+        const tally = kind === 'visit' ? counts.visited : counts.path;
+        for (const { lane } of events) tally[lane] += 1;
+    }
+    return counts;
+}
+
+/** Events of the last expansion frame at or before `count` (path frames carry none). */
+export function lastExpansion(frames, count) {
+    for (let i = Math.min(count, frames.length) - 1; i >= 0; i--) {
+        if (frames[i].kind === 'visit') return frames[i].events;
+    }
+    return [];
+}
+
+/**
+ * What one lane's search knew about a cell after `count` frames: the latest
+ * { g, h, f, prev } recorded for it, plus `state` — 'closed' once expanded,
+ * 'open' while only discovered. Null if the search never reached the cell.
+ */
+export function inspectCell(frames, count, lane, row, col) {
+    let found = null;
+    const end = Math.min(count, frames.length);
+    // Visit frames always precede path frames, so stop at the first path frame
+    for (let i = 0; i < end && frames[i].kind === 'visit'; i++) {
+        for (const event of frames[i].events) {
+            if (event.lane !== lane || !event.step) continue;
+            const { node, relaxed } = event.step;
+            if (node.row === row && node.col === col) {
+                found = { ...node, state: 'closed' };
+                continue;
+            }
+            const cell = relaxed.find(c => c.row === row && c.col === col);
+            if (cell) found = { ...cell, state: 'open' };
+        }
+    }
+    return found;
+}
@@ -0,0 +1,149 @@
+/**
+ * OSM Terrain Rasterizer
+ * Burns the fetched OSM features into one terrain class per grid cell:
+ *   roads      — any cell a road passes through takes the best road class on it
+ *   buildings  — cells mostly covered by building outlines become walls
+ *   water      — lakes, reservoirs and rivers block the cell (roads bridge them)
+ *   parks      — parks, gardens and green landuse
+ *   otherwise  — open, unmapped ground counts as alley
+ * Area coverage is measured on a SAMPLES × SAMPLES point lattice per cell.
+ */
+import { latLngToGrid } from './regions';
+
+const SAMPLES = 4;
+
+// OSM highway → terrain class; anything unlisted is treated as an alley
+const HIGHWAY_CLASS = {
+    motorway: 'HIGHWAY',
+    trunk: 'HIGHWAY',
+    primary: 'HIGHWAY',
+    secondary: 'ROAD',
+    tertiary: 'ROAD',
+    footway: 'PARK',
+    path: 'PARK',
+    pedestrian: 'PARK',
+    cycleway: 'PARK',
+    steps: 'PARK',
+    track: 'PARK',
+};
+const ROAD_RANK = { HIGHWAY: 0, ROAD: 1, ALLEY: 2, PARK: 3 };
+
+// Share of a cell's samples an area class must cover to claim the cell
+const COVERAGE = { BUILDING: 0.35, WATER: 0.5, PARK: 0.4 };
+
+export const roadClass = highway => HIGHWAY_CLASS[highway] ?? 'ALLEY';
+
+/** Highway tags with a class of their own; every other tag rasterizes as an alley. */
+export const CLASSED_HIGHWAYS = Object.keys(HIGHWAY_CLASS);
+
+/**
+ * @returns  gridSize × gridSize array of { terrain, roadTypes } where terrain
+ *           is a TERRAIN key and roadTypes lists the OSM highway tags of the
+ *           roads crossing the cell (empty elsewhere — the terrain's own
+ *           weight applies; see ./terrainWeights).
+ */
+export function rasterizeTerrain(network, gridSize) {
+    const toGrid = ({ lat, lng }) => latLngToGrid(lat, lng, gridSize, network.bounds);
+    const cells = Array.from({ length: gridSize }, () => Array.from({ length: gridSize }, () => ({
+        road: null, roadTypes: new Set(), river: false,
+    })));
+
+    for (const road of network.roads) {
+        const cls = roadClass(road.highway);
+        traceLine(road.coords.map(toGrid), gridSize, cell => {
+            const c = cells[cell.row][cell.col];
+            if (c.road === null || ROAD_RANK[cls] < ROAD_RANK[c.road]) c.road = cls;
+            c.roadTypes.add(road.highway);
+        });
+    }
+    for (const { coords } of network.waterways) {
+        traceLine(coords.map(toGrid), gridSize, cell => { cells[cell.row][cell.col].river = true; });
+    }
+
+    const coverage = {
+        BUILDING: coverageGrid(network.areas, ['BUILDING', 'TOWER'], gridSize, toGrid),
+        TOWER: coverageGrid(network.areas, ['TOWER'], gridSize, toGrid),
+        WATER: coverageGrid(network.areas, ['WATER'], gridSize, toGrid),
+        PARK: coverageGrid(network.areas, ['PARK'], gridSize, toGrid),
+    };
+
+    return cells.map((row, r) => row.map((cell, c) => {
+        if (cell.road) return { terrain: cell.road, roadTypes: [...cell.roadTypes] };
+        const built = coverage.BUILDING[r][c];
+        if (built >= COVERAGE.BUILDING) {
+            // Mostly tall buildings → tower
+            return { terrain: coverage.TOWER[r][c] * 2 >= built ? 'TOWER' : 'BUILDING', roadTypes: [] };
+        }
+        if (cell.river || coverage.WATER[r][c] >= COVERAGE.WATER) return { terrain: 'WATER', roadTypes: [] };
+        if (coverage.PARK[r][c] >= COVERAGE.PARK) return { terrain: 'PARK', roadTypes: [] };
+        return { terrain: 'ALLEY', roadTypes: [] };
+    }));
+}
+
+/** Calls `visit` once per in-grid cell a polyline (in grid coords) passes through. */
+function traceLine(points, gridSize, visit) {
+    const seen = new Set();
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        // Quarter-cell steps are fine enough not to skip a cell the line crosses
+        const steps = Math.max(1, Math.ceil(Math.hypot(b.row - a.row, b.col - a.col) * 4));
+        for (let s = 0; s <= steps; s++) {
+            const row = Math.floor(a.row + ((b.row - a.row) * s) / steps);
+            const col = Math.floor(a.col + ((b.col - a.col) * s) / steps);
+            if (row < 0 || col < 0 || row >= gridSize || col >= gridSize) continue;
+            const key = row * gridSize + col;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            visit({ row, col });
+        }
+    }
+}
+
+/**
+ * Fraction (0–1) of each cell's sample points that fall inside at least one
+ * area of the given kinds. Overlapping areas are not double-counted.
+ */
+function coverageGrid(areas, kinds, gridSize, toGrid) {
+    const side = gridSize * SAMPLES;
+    const hit = new Uint8Array(side * side);
+
+    for (const area of areas) {
+        if (!kinds.includes(area.kind)) continue;
+        // Polygon in sample-lattice units
+        const poly = area.coords.map(p => {
+            const { row, col } = toGrid(p);
+            return { x: col * SAMPLES, y: row * SAMPLES };
+        });
+        const xs = poly.map(p => p.x);
+        const ys = poly.map(p => p.y);
+        const x0 = Math.max(0, Math.floor(Math.min(...xs)));
+        const x1 = Math.min(side - 1, Math.ceil(Math.max(...xs)));
+        const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+        const y1 = Math.min(side - 1, Math.ceil(Math.max(...ys)));
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                if (!hit[y * side + x] && pointInPolygon(x + 0.5, y + 0.5, poly)) hit[y * side + x] = 1;
+            }
+        }
+    }
+
+    return Array.from({ length: gridSize }, (_, r) => Array.from({ length: gridSize }, (_, c) => {
+        let count = 0;
+        for (let y = r * SAMPLES; y < (r + 1) * SAMPLES; y++) {
+            for (let x = c * SAMPLES; x < (c + 1) * SAMPLES; x++) count += hit[y * side + x];
+        }
+        return count / (SAMPLES * SAMPLES);
+    }));
+}
+
+// Even-odd ray casting
+function pointInPolygon(x, y, poly) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+        const a = poly[i];
+        const b = poly[j];
+        if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
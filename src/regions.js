@@ -0,0 +1,123 @@
+/**
+ * Map Regions
+ * One region describes everything that ties the grid to a real place:
+ * the bounding box the grid covers, the satellite image centre and zoom,
+ * and the named start/end landmarks. Road fetching, grid ↔ lat/lng
+ * conversion, km-per-node scale and the route chip all read from it.
+ */
+
+export const REGION_PRESETS = {
+    dharwad: {
+        id: 'dharwad',
+        name: 'Dharwad',
+        bounds: { north: 15.4750, south: 15.4480, east: 75.0050, west: 74.9850 },
+        center: { lat: 15.4618, lng: 74.9948 },
+        zoom: 16,
+        start: { name: 'GFGC College', tag: 'GFGC', icon: '🎓', area: 'Kumareshwarnagar, Dharwad', lat: 15.4707, lng: 74.9916 },
+        end: { name: 'KCD Arts College', tag: 'KCD', icon: '🎓', area: 'Kuvempu Nagar, Dharwad', lat: 15.4530, lng: 74.9980 },
+    },
+    bengaluru: {
+        id: 'bengaluru',
+        name: 'Bengaluru Central',
+        bounds: { north: 12.9870, south: 12.9440, east: 77.6050, west: 77.5700 },
+        center: { lat: 12.9655, lng: 77.5875 },
+        zoom: 15,
+        start: { name: 'Vidhana Soudha', tag: 'Vidhana Soudha', area: 'Ambedkar Veedhi, Bengaluru', lat: 12.9795, lng: 77.5909 },
+        end: { name: 'Lalbagh Botanical Garden', tag: 'Lalbagh', area: 'Mavalli, Bengaluru', lat: 12.9507, lng: 77.5848 },
+    },
+    mysuru: {
+        id: 'mysuru',
+        name: 'Mysuru',
+        bounds: { north: 12.3150, south: 12.2650, east: 76.6900, west: 76.6400 },
+        center: { lat: 12.2900, lng: 76.6650 },
+        zoom: 15,
+        start: { name: 'Mysore Palace', tag: 'Palace', area: 'Sayyaji Rao Road, Mysuru', lat: 12.3052, lng: 76.6552 },
+        end: { name: 'Chamundeshwari Temple', tag: 'Chamundi', area: 'Chamundi Hill, Mysuru', lat: 12.2724, lng: 76.6705 },
+    },
+};
+
+export const DEFAULT_REGION_ID = 'dharwad';
+
+// Limits for a region typed in by hand
+export const CUSTOM_SPAN_KM = { min: 0.5, max: 10, default: 3 };
+
+const KM_PER_DEG_LAT = 111.32;
+const kmPerDegLng = lat => KM_PER_DEG_LAT * Math.cos(lat * Math.PI / 180);
+
+/**
+ * Builds a square region of `spanKm` around a centre point. Its landmarks
+ * are unnamed and sit wherever the grid's default marker cells fall.
+ * Throws a RangeError for coordinates or spans outside the allowed range.
+ */
+export function createCustomRegion({ lat, lng, spanKm = CUSTOM_SPAN_KM.default, name = '' }) {
+    if (!Number.isFinite(lat) || lat < -85 || lat > 85) throw new RangeError('Latitude must be between -85 and 85');
+    if (!Number.isFinite(lng) || lng < -180 || lng > 180) throw new RangeError('Longitude must be between -180 and 180');
+    if (!Number.isFinite(spanKm) || spanKm < CUSTOM_SPAN_KM.min || spanKm > CUSTOM_SPAN_KM.max) {
+        throw new RangeError(`Span must be between ${CUSTOM_SPAN_KM.min} and ${CUSTOM_SPAN_KM.max} km`);
+    }
+
+    const halfLat = spanKm / 2 / KM_PER_DEG_LAT;
+    const halfLng = spanKm / 2 / kmPerDegLng(lat);
+    // Zoom at which a 1024 px static map covers the span (256 px tiles, 2^z per world)
+    const metresPerPx = (spanKm * 1000) / 1024;
+    const zoom = Math.round(Math.log2((156543.03 * Math.cos(lat * Math.PI / 180)) / metresPerPx));
+
+    return {
+        id: 'custom',
+        name: name.trim() || `${lat.toFixed(3)}, ${lng.toFixed(3)}`,
+        bounds: { north: lat + halfLat, south: lat - halfLat, east: lng + halfLng, west: lng - halfLng },
+        center: { lat, lng },
+        zoom: Math.max(1, Math.min(20, zoom)),
+        start: null,
+        end: null,
+    };
+}
+
+/**
+ * Maps a grid (row, col) to real-world lat/lng inside the region's box.
+ */
+export function gridToLatLng(row, col, gridSize, bounds) {
+    const latRange = bounds.north - bounds.south;
+    const lngRange = bounds.east - bounds.west;
+    return {
+        lat: bounds.north - (row / gridSize) * latRange,
+        lng: bounds.west + (col / gridSize) * lngRange,
+    };
+}
+
+/**
+ * Inverse of gridToLatLng: fractional (row, col) of a lat/lng, so cell
+ * (r, c) spans [r, r + 1) × [c, c + 1). Points outside the box fall
+ * outside [0, gridSize).
+ */
+export function latLngToGrid(lat, lng, gridSize, bounds) {
+    return {
+        row: ((bounds.north - lat) / (bounds.north - bounds.south)) * gridSize,
+        col: ((lng - bounds.west) / (bounds.east - bounds.west)) * gridSize,
+    };
+}
+
+/** Average real-world edge length of one grid cell, in km. */
+export function kmPerNode(region, gridSize) {
+    const { bounds, center } = region;
+    const kmLat = ((bounds.north - bounds.south) / gridSize) * KM_PER_DEG_LAT;
+    const kmLng = ((bounds.east - bounds.west) / gridSize) * kmPerDegLng(center.lat);
+    return (kmLat + kmLng) / 2;
+}
+
+/**
+ * The region's start and end landmarks, falling back to plain "Start" /
+ * "End" at the given default cells for regions that do not name any.
+ */
+export function regionLandmarks(region, gridSize, startCell, endCell) {
+    const place = (landmark, cell, label) => landmark ?? {
+        name: label,
+        tag: label,
+        area: region.name,
+        ...gridToLatLng(cell.row, cell.col, gridSize, region.bounds),
+    };
+    return {
+        start: place(region.start, startCell, 'Start'),
+        end: place(region.end, endCell, 'End'),
+    };
+}
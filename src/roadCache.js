@@ -0,0 +1,56 @@
+/**
+ * Road Network Cache (IndexedDB)
+ * Keeps the last parsed OSM features (roads, areas, waterways) per
+ * bounding box so the map still shows real data when the Overpass API
+ * cannot be reached.
+ * Every call resolves to null instead of throwing — private browsing and
+ * older browsers may not offer IndexedDB at all.
+ */
+
+const DB_NAME = 'pathfinder-edu';
+const DB_VERSION = 1;
+const STORE = 'roadNetwork';
+
+function openDB() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function request(mode, run) {
+    return openDB().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const req = run(tx.objectStore(STORE));
+        tx.oncomplete = () => { db.close(); resolve(req.result); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
+    }));
+}
+
+/** Resolves to { ...features, fetchedAt } for `key`, or null when nothing is cached. */
+export async function readCachedFeatures(key) {
+    try {
+        return (await request('readonly', store => store.get(key))) ?? null;
+    } catch (err) {
+        console.warn('[RoadCache] read failed:', err.message);
+        return null;
+    }
+}
+
+/** Stores parsed features under `key`, stamped with the current time. */
+export async function writeCachedFeatures(key, features) {
+    const entry = { ...features, fetchedAt: Date.now() };
+    try {
+        await request('readwrite', store => store.put(entry, key));
+        return entry;
+    } catch (err) {
+        console.warn('[RoadCache] write failed:', err.message);
+        return null;
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * OSM Road Graph
+ * Turns the parsed OSM roads (see ./roadNetwork) into a routable street
+ * graph instead of a grid:
+ *   nodes — every OSM way node; ways that share a node meet there
+ *   edges — consecutive way nodes, costing length in metres × road weight
+ *           (from the editable table in ./terrainWeights)
+ *           (one-way streets only get the edge in their direction of travel,
+ *           unless `oneway` is off, as for pedestrians; roads weighted
+ *           Infinity by the travel profile get no edges)
+ * The graph implements the search-world interface of ./algorithms/neighbors,
+ * so every registered algorithm runs on it unchanged. Search state lives on
+ * the node objects, so each search gets its own copy via fresh().
+ */
+import { haversineMetres } from './algorithms/heuristics';
+import { roadWeight } from './terrainWeights';
+
+export class RoadGraph {
+    /**
+     * @param topology  { points, outgoing, incoming, edges, component } —
+     *                  shared, read-only, built once by buildRoadGraph
+     */
+    constructor(topology) {
+        this.topology = topology;
+        this.nodes = topology.points.map(({ lat, lng }, id) => ({
+            id, lat, lng,
+            isWall: false,
+            distance: Infinity, isVisited: false,
+            previousNode: null, totalCost: Infinity, heuristic: 0,
+        }));
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    /** Undirected street segments for drawing: [{ a, b, road }] by node id. */
+    get edges() {
+        return this.topology.edges;
+    }
+
+    /** Same street network with every node's search state reset. */
+    fresh() {
+        return new RoadGraph(this.topology);
+    }
+
+    /** Nodes reachable in one move; `reverse` lists those with an edge into `node`. */
+    neighbors(node, { reverse = false } = {}) {
+        const adjacency = reverse ? this.topology.incoming : this.topology.outgoing;
+        return adjacency[node.id].map(edge => this.nodes[edge.to]);
+    }
+
+    /** The directed edge from → to, or null. */
+    edge(from, to) {
+        return this.topology.outgoing[from.id].find(e => e.to === to.id) ?? null;
+    }
+
+    moveCost(from, to) {
+        return this.edge(from, to)?.cost ?? Infinity;
+    }
+
+    /**
+     * Closest node to a lat/lng, limited to the largest strongly connected
+     * part of the network so any two snapped points can reach each other.
+     */
+    nearestNode(lat, lng) {
+        // Equirectangular distance is plenty to rank points a few km apart
+        const cosLat = Math.cos(lat * Math.PI / 180);
+        let best = null;
+        let bestDist = Infinity;
+        for (const id of this.topology.component) {
+            const p = this.topology.points[id];
+            const d = (p.lat - lat) ** 2 + ((p.lng - lng) * cosLat) ** 2;
+            if (d < bestDist) {
+                best = this.nodes[id];
+                bestDist = d;
+            }
+        }
+        return best;
+    }
+}
+
+/** Builds the street graph of a road network, or null when it has no roads. */
+export function buildRoadGraph(network, weights, { oneway = true } = {}) {
+    if (!network || network.roads.length === 0) return null;
+
+    const points = [];
+    const ids = new Map();
+    const idOf = ({ lat, lng }) => {
+        const key = `${lat},${lng}`;
+        if (!ids.has(key)) {
+            ids.set(key, points.length);
+            points.push({ lat, lng });
+        }
+        return ids.get(key);
+    };
+
+    const outgoing = [];
+    const incoming = [];
+    const edges = [];
+    const seen = new Set();
+    const link = (from, to, metres, road) => {
+        const cost = metres * roadWeight(road.highway, weights);
+        if (cost === Infinity) return; // a road the travel profile may not use
+        const existing = outgoing[from].find(e => e.to === to);
+        // Parallel ways between the same two nodes: keep the cheaper one
+        if (existing) {
+            if (cost < existing.cost) {
+                Object.assign(existing, { metres, cost, road });
+                Object.assign(incoming[to].find(e => e.to === from), { metres, cost, road });
+            }
+            return;
+        }
+        outgoing[from].push({ to, metres, cost, road });
+        incoming[to].push({ to: from, metres, cost, road });
+    };
+
+    for (const road of network.roads) {
+        const wayIds = road.coords.map(idOf);
+        while (outgoing.length < points.length) {
+            outgoing.push([]);
+            incoming.push([]);
+        }
+        for (let i = 0; i < wayIds.length - 1; i++) {
+            const a = wayIds[i];
+            const b = wayIds[i + 1];
+            if (a === b) continue;
+            const metres = haversineMetres(points[a], points[b]);
+            if (!oneway || road.oneway !== -1) link(a, b, metres, road);
+            if (!oneway || road.oneway !== 1) link(b, a, metres, road);
+
+            const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                edges.push({ a, b, road });
+            }
+        }
+    }
+
+    const component = largestComponent(outgoing, incoming);
+    return new RoadGraph({ points, outgoing, incoming, edges, component });
+}
+
+/**
+ * Node ids of the largest strongly connected component (Kosaraju).
+ * Iterative — a city's worth of nodes would overflow a recursive DFS.
+ */
+function largestComponent(outgoing, incoming) {
+    const count = outgoing.length;
+    const order = [];
+    const visited = new Uint8Array(count);
+
+    for (let root = 0; root < count; root++) {
+        if (visited[root]) continue;
+        visited[root] = 1;
+        const stack = [[root, 0]];
+        while (stack.length > 0) {
+            const top = stack[stack.length - 1];
+            const edges = outgoing[top[0]];
+            if (top[1] < edges.length) {
+                const next = edges[top[1]++].to;
+                if (!visited[next]) {
+                    visited[next] = 1;
+                    stack.push([next, 0]);
+                }
+            } else {
+                order.push(top[0]);
+                stack.pop();
+            }
+        }
+    }
+
+    // Second pass on the reversed graph, in decreasing finish time
+    const assigned = new Uint8Array(count);
+    let best = [];
+    for (let i = order.length - 1; i >= 0; i--) {
+        const root = order[i];
+        if (assigned[root]) continue;
+        assigned[root] = 1;
+        const members = [];
+        const stack = [root];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            members.push(id);
+            for (const { to } of incoming[id]) {
+                if (!assigned[to]) {
+                    assigned[to] = 1;
+                    stack.push(to);
+                }
+            }
+        }
+        if (members.length > best.length) best = members;
+    }
+    return best;
+}
@@ -1,70 +1,106 @@
 /**
  * Smart Heuristics via Google Routes API
- * Fetches real road-type data for the Dharwad area to assign
- * terrain weights to grid nodes based on actual road classification.
+ * Fetches real road-type data for the selected region (see ./regions) to
+ * assign terrain weights to grid nodes based on actual road classification,
+ * plus the building, park, landuse and water features that ./rasterize
+ * turns into per-cell terrain.
  */
 
+import { fetchOverpass } from './overpass';
+import { readCachedFeatures, writeCachedFeatures } from './roadCache';
+import { SegmentGrid } from './spatialIndex';
+
 const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || '';
 
-// Dharwad bounding box
-const BOUNDS = {
-    north: 15.4750,
-    south: 15.4480,
-    east: 75.0050,
-    west: 74.9850,
-};
-
-// Road type → terrain weight mapping (mirrors A* cost)
-const ROAD_TYPE_WEIGHTS = {
-    'motorway': 1,
-    'trunk': 1,
-    'primary': 1,   // College Road, main arteries
-    'secondary': 1.5,
-    'tertiary': 2,
-    'residential': 2.5,
-    'service': 3,
-    'unclassified': 3,
-    'path': 4,
-    'footway': 4,
-    'default': 2,
-};
+// If within ~30m of a road, use road weight; otherwise treat as alley/building
+const ROAD_SNAP_THRESHOLD = 0.0003; // ~33m in degrees
+
+// OSM area tags → terrain class (see ./rasterize). Only closed ways are
+// read; multipolygon relations are skipped.
+const WATER_LANDUSE = new Set(['reservoir', 'basin']);
+const GREEN_LANDUSE = new Set(['grass', 'forest', 'meadow', 'recreation_ground', 'village_green', 'orchard']);
+const TALL_BUILDING_LEVELS = 6;
+
+const ONEWAY_VALUES = new Set(['yes', 'true', '1']);
+
+// Waterways wide enough to block a whole grid cell
+const BLOCKING_WATERWAYS = new Set(['river', 'canal']);
+
+// Cached roads younger than this are used without asking Overpass again
+const CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Raw Overpass responses for preset regions (data/<region id>-osm.json),
+// shipped with the app as an offline fallback. `npm run snapshot` writes
+// them (see README → "Refreshing the bundled road snapshot"). Globbed
+// rather than imported so the app still builds without them.
+const BUNDLED_SNAPSHOTS = import.meta.glob('./data/*-osm.json', { import: 'default' });
+
+const cacheKey = bounds => `${bounds.south},${bounds.west},${bounds.north},${bounds.east}`;
 
 /**
- * Fetches road network from OpenStreetMap Overpass API for the Dharwad area.
- * Returns an array of road segments with their type and coordinates.
+ * Loads the road network inside `region.bounds`, trying in order:
+ *   cached  — IndexedDB copy younger than CACHE_MAX_AGE_MS
+ *   live    — OpenStreetMap Overpass API (written back to the cache)
+ *   cached  — an older IndexedDB copy
+ *   bundled — the OSM snapshot shipped with the app
+ * Resolves to { network, source, fetchedAt } where network is
+ * { roads, areas, waterways, index, bounds } (see createRoadNetwork);
+ * when every source fails,
+ * network is null and source is 'procedural'.
  * We use OSM instead of Google Routes API because Routes API is for
  * point-to-point routing, not bulk road-type extraction.
  */
-export async function fetchRoadNetwork() {
-    const query = `
-    [out:json][timeout:25];
-    (
-      way["highway"](${BOUNDS.south},${BOUNDS.west},${BOUNDS.north},${BOUNDS.east});
-    );
-    out body;
-    >;
-    out skel qt;
-  `;
+export async function fetchRoadNetwork(region) {
+    const { bounds } = region;
+    const key = cacheKey(bounds);
+    // Entries written before area features were fetched lack `areas` and count as stale
+    const cached = await readCachedFeatures(key);
+    const fresh = cached?.areas && Date.now() - cached.fetchedAt < CACHE_MAX_AGE_MS;
+    if (fresh) {
+        return { network: createRoadNetwork(cached, bounds), source: 'cached', fetchedAt: cached.fetchedAt };
+    }
+
+    try {
+        const network = parseOSMData(await fetchOverpass(bounds), bounds);
+        if (network.roads.length === 0) throw new Error('no roads in response');
+        // Only the plain features are cached; the index is cheap to rebuild
+        const { roads, areas, waterways } = network;
+        const entry = await writeCachedFeatures(key, { roads, areas, waterways });
+        return { network, source: 'live', fetchedAt: entry?.fetchedAt ?? Date.now() };
+    } catch (err) {
+        console.warn('[RoadNetwork] Overpass API unavailable:', err.message);
+    }
+
+    if (cached) return { network: createRoadNetwork(cached, bounds), source: 'cached', fetchedAt: cached.fetchedAt };
+
+    const bundled = await loadBundledSnapshot(region);
+    if (bundled) return bundled;
 
+    console.warn('[RoadNetwork] No cached or bundled roads, using fallback weights');
+    return { network: null, source: 'procedural', fetchedAt: null };
+}
+
+async function loadBundledSnapshot(region) {
+    const load = BUNDLED_SNAPSHOTS[`./data/${region.id}-osm.json`];
+    if (!load) return null;
     try {
-        const res = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            body: `data=${encodeURIComponent(query)}`,
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        });
-
-        if (!res.ok) throw new Error(`Overpass API error: ${res.status}`);
-        const data = await res.json();
-        return parseOSMData(data);
+        const data = await load();
+        const network = parseOSMData(data, region.bounds);
+        if (network.roads.length === 0) return null;
+        // Overpass stamps each response with the OSM data date it was built from
+        const fetchedAt = Date.parse(data.osm3s?.timestamp_osm_base) || null;
+        return { network, source: 'bundled', fetchedAt };
     } catch (err) {
-        console.warn('[RoadNetwork] Overpass API unavailable, using fallback weights:', err.message);
+        console.warn('[RoadNetwork] Bundled snapshot unreadable:', err.message);
         return null;
     }
 }
 
-function parseOSMData(data) {
+function parseOSMData(data, bounds) {
     const nodes = {};
     const roads = [];
+    const areas = [];
+    const waterways = [];
 
     // Index all node positions
     for (const el of data.elements) {
@@ -73,66 +109,72 @@ function parseOSMData(data) {
         }
     }
 
-    // Extract road segments
+    // Extract road segments, area outlines and blocking waterways
     for (const el of data.elements) {
-        if (el.type === 'way' && el.tags?.highway) {
-            const highway = el.tags.highway;
-            const weight = ROAD_TYPE_WEIGHTS[highway] ?? ROAD_TYPE_WEIGHTS.default;
-            const coords = el.nodes
-                .map(id => nodes[id])
-                .filter(Boolean);
-
-            if (coords.length >= 2) {
-                roads.push({ highway, weight, coords, name: el.tags.name || '' });
-            }
+        if (el.type !== 'way' || !el.tags) continue;
+        const coords = el.nodes
+            .map(id => nodes[id])
+            .filter(Boolean);
+        if (coords.length < 2) continue;
+
+        if (el.tags.highway) {
+            roads.push({ highway: el.tags.highway, coords, name: el.tags.name || '', oneway: onewayOf(el.tags) });
+            continue;
+        }
+
+        const kind = areaKind(el.tags);
+        const closed = el.nodes.length >= 4 && el.nodes[0] === el.nodes[el.nodes.length - 1];
+        if (kind && closed) {
+            areas.push({ kind, coords });
+        } else if (BLOCKING_WATERWAYS.has(el.tags.waterway)) {
+            waterways.push({ waterway: el.tags.waterway, coords });
         }
     }
 
-    return roads;
+    return createRoadNetwork({ roads, areas, waterways }, bounds);
 }
 
-/**
- * Given a grid node's lat/lng, find the nearest road segment
- * and return its weight. Used to assign real terrain costs.
- */
-export function getWeightForCoord(lat, lng, roads) {
-    if (!roads || roads.length === 0) return 2;
+// 1 = traffic only follows the way's node order, -1 = only against it, 0 = both ways
+function onewayOf(tags) {
+    if (tags.oneway === '-1') return -1;
+    if (ONEWAY_VALUES.has(tags.oneway)) return 1;
+    if (tags.oneway === 'no') return 0;
+    // Implied by the road type unless tagged otherwise
+    return tags.highway === 'motorway' || tags.junction === 'roundabout' ? 1 : 0;
+}
 
-    let minDist = Infinity;
-    let bestWeight = 2;
+function areaKind(tags) {
+    if (tags.building) {
+        return parseFloat(tags['building:levels']) >= TALL_BUILDING_LEVELS ? 'TOWER' : 'BUILDING';
+    }
+    if (tags.natural === 'water' || tags.waterway === 'riverbank' || WATER_LANDUSE.has(tags.landuse)) return 'WATER';
+    if (tags.leisure === 'park' || tags.leisure === 'garden' || GREEN_LANDUSE.has(tags.landuse)) return 'PARK';
+    return null;
+}
 
+/**
+ * Pairs the road list with a bucket index over every road segment, sized to
+ * the snap threshold so a weight lookup touches at most a 3×3 block of buckets.
+ * `bounds` records which region box the features were fetched for.
+ */
+function createRoadNetwork({ roads, areas = [], waterways = [] }, bounds) {
+    const segments = [];
     for (const road of roads) {
         for (let i = 0; i < road.coords.length - 1; i++) {
             const a = road.coords[i];
             const b = road.coords[i + 1];
-            const dist = pointToSegmentDist(lat, lng, a.lat, a.lng, b.lat, b.lng);
-            if (dist < minDist) {
-                minDist = dist;
-                bestWeight = road.weight;
-            }
+            segments.push({ ax: a.lat, ay: a.lng, bx: b.lat, by: b.lng, road });
         }
     }
-
-    // If within ~30m of a road, use road weight; otherwise treat as alley/building
-    const ROAD_SNAP_THRESHOLD = 0.0003; // ~33m in degrees
-    return minDist < ROAD_SNAP_THRESHOLD ? bestWeight : 3;
-}
-
-function pointToSegmentDist(px, py, ax, ay, bx, by) {
-    const dx = bx - ax, dy = by - ay;
-    if (dx === 0 && dy === 0) return Math.hypot(px - ax, py - ay);
-    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy)));
-    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+    return { roads, areas, waterways, index: new SegmentGrid(segments, ROAD_SNAP_THRESHOLD), bounds };
 }
 
 /**
- * Maps a grid (row, col) to real-world lat/lng in the Dharwad area.
+ * Given a grid node's lat/lng, find the nearest road segment and return its
+ * highway tag — the key its cost is looked up by (see ./terrainWeights).
  */
-export function gridToLatLng(row, col, gridSize) {
-    const latRange = BOUNDS.north - BOUNDS.south;
-    const lngRange = BOUNDS.east - BOUNDS.west;
-    return {
-        lat: BOUNDS.north - (row / gridSize) * latRange,
-        lng: BOUNDS.west + (col / gridSize) * lngRange,
-    };
+export function roadTypeAtCoord(lat, lng, network) {
+    if (!network || network.roads.length === 0) return 'default';
+    const hit = network.index.nearest(lat, lng, ROAD_SNAP_THRESHOLD);
+    return hit ? hit.segment.road.highway : 'offroad';
 }
@@ -0,0 +1,266 @@
+/**
+ * Scenario Files
+ * A scenario is everything needed to hand a prepared map to someone else:
+ * the region, the terrain and weight of every cell, the start/end markers,
+ * waypoints, and the chosen algorithm with its options. It is saved as a
+ * versioned JSON file, or deflated into the URL hash for share links.
+ *
+ * Terrain is stored one string per grid row, one letter per cell (see
+ * TERRAIN_CODES), so a maze stays readable and editable by hand. Custom
+ * terrain types painted in the editor are listed under `terrainTypes` and
+ * use their digit (1–9) as the cell code.
+ *
+ * parseScenario validates untrusted input and throws with a message fit to
+ * show the user: TypeError for a malformed file, RangeError for values out
+ * of range, and a plain Error for a file from another format version.
+ */
+import { ALGORITHMS, HEURISTICS, MOVEMENT_MODES, DIAGONAL_RULES } from './algorithms';
+import { MAX_LANES } from './playback';
+import { REGION_PRESETS } from './regions';
+import { MAX_CUSTOM_TERRAINS, CUSTOM_WEIGHT_RANGE, customTerrainKey } from './terrainEditor';
+import { DEFAULT_WEIGHTS, parseWeights } from './terrainWeights';
+import { DEFAULT_DEPARTURE, HOURS_PER_DAY } from './traffic';
+import { TRAVEL_PROFILES, DEFAULT_PROFILE } from './travelProfiles';
+
+export const SCENARIO_FORMAT = 'pathfinder-edu/scenario';
+export const SCENARIO_VERSION = 1;
+export const SCENARIO_HASH_PREFIX = '#scenario=';
+
+// Terrain key (see TERRAIN in App.jsx) ↔ one-letter cell code
+export const TERRAIN_CODES = {
+    HIGHWAY: 'H',
+    ROAD: 'R',
+    ALLEY: 'A',
+    PARK: 'P',
+    BUILDING: 'B',
+    TOWER: 'T',
+    WATER: 'W',
+};
+const CODE_TERRAIN = Object.fromEntries(Object.entries(TERRAIN_CODES).map(([key, code]) => [code, key]));
+const WALL_CODES = new Set(['B', 'T', 'W']);
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const cellCode = key => TERRAIN_CODES[key] ?? key.slice(customTerrainKey('').length);
+
+const EPSILON_RANGE = { min: 1, max: 5 };
+const RACER_RANGE = { min: 2, max: MAX_LANES };
+const WORLD_MODES = ['grid', 'graph'];
+
+/**
+ * @param cells     gridSize × gridSize array of { terrain: TERRAIN key, weight }
+ * @param customTerrains  [{ key, label, weight, color }] painted with the editor
+ * @param settings  { algorithm, heuristic, epsilon, movement, diagonalRule,
+ *                    raceMode, racers, optimizeOrder, worldMode, osmTerrain, weights, departure,
+ *                    travelProfile } — racers is [{ alg, heuristic }]
+ * @returns plain JSON-ready scenario object
+ */
+export function createScenario({ region, cells, customTerrains = [], start, end, waypoints, settings }) {
+    return {
+        format: SCENARIO_FORMAT,
+        version: SCENARIO_VERSION,
+        region: region.id === 'custom'
+            ? { id: 'custom', name: region.name, bounds: region.bounds, center: region.center, zoom: region.zoom }
+            : { id: region.id },
+        grid: {
+            size: cells.length,
+            terrain: cells.map(row => row.map(c => cellCode(c.terrain)).join('')),
+            // Walls have no weight (Infinity is not valid JSON)
+            weights: cells.map(row => row.map(c => (Number.isFinite(c.weight) ? c.weight : null))),
+        },
+        terrainTypes: customTerrains.map(({ key, label, weight, color }) => ({ code: cellCode(key), label, weight, color })),
+        start: { row: start.row, col: start.col },
+        end: { row: end.row, col: end.col },
+        waypoints: waypoints.map(({ row, col }) => ({ row, col })),
+        settings: { ...settings },
+    };
+}
+
+/**
+ * Validates a scenario object (already JSON-parsed) for a grid of
+ * `gridSize` cells per side.
+ * @returns { region, cells, customTerrains, start, end, waypoints, settings }
+ *          with cells as [[{ terrain, weight }]] (weight Infinity on walls)
+ */
+export function parseScenario(data, gridSize) {
+    if (!isObject(data) || data.format !== SCENARIO_FORMAT) {
+        throw new TypeError('Not a PathfinderEDU scenario file');
+    }
+    if (data.version !== SCENARIO_VERSION) {
+        throw new Error(
+            `This scenario was saved in format version ${data.version}; this app reads version ${SCENARIO_VERSION}`,
+        );
+    }
+
+    const region = parseRegion(data.region);
+
+    const { grid } = data;
+    if (!isObject(grid) || !Array.isArray(grid.terrain) || !Array.isArray(grid.weights)) {
+        throw new TypeError('Scenario grid is missing its terrain or weights');
+    }
+    if (grid.size !== gridSize) {
+        throw new RangeError(`Scenario grid is ${grid.size}×${grid.size}; this app uses ${gridSize}×${gridSize}`);
+    }
+    if (grid.terrain.length !== gridSize || grid.weights.length !== gridSize) {
+        throw new RangeError(`Scenario grid must have ${gridSize} rows`);
+    }
+
+    const customTerrains = parseTerrainTypes(data.terrainTypes ?? []);
+    const codeTerrain = { ...CODE_TERRAIN };
+    for (const { key } of customTerrains) codeTerrain[cellCode(key)] = key;
+
+    const cells = grid.terrain.map((line, row) => {
+        const weights = grid.weights[row];
+        if (typeof line !== 'string' || line.length !== gridSize || !Array.isArray(weights) || weights.length !== gridSize) {
+            throw new RangeError(`Scenario row ${row} must have ${gridSize} cells`);
+        }
+        return [...line].map((code, col) => {
+            if (!codeTerrain[code]) throw new RangeError(`Unknown terrain "${code}" at row ${row}, col ${col}`);
+            if (WALL_CODES.has(code)) return { terrain: codeTerrain[code], weight: Infinity };
+            const weight = weights[col];
+            if (!Number.isFinite(weight) || weight < 1) {
+                throw new RangeError(`Weight at row ${row}, col ${col} must be a number ≥ 1`);
+            }
+            return { terrain: codeTerrain[code], weight };
+        });
+    });
+
+    const openCell = (pos, label) => {
+        if (!isObject(pos) || !Number.isInteger(pos.row) || !Number.isInteger(pos.col)
+            || pos.row < 0 || pos.col < 0 || pos.row >= gridSize || pos.col >= gridSize) {
+            throw new RangeError(`${label} must be a cell inside the ${gridSize}×${gridSize} grid`);
+        }
+        if (cells[pos.row][pos.col].weight === Infinity) throw new RangeError(`${label} sits on a building or water`);
+        return { row: pos.row, col: pos.col };
+    };
+    const start = openCell(data.start, 'Start');
+    const end = openCell(data.end, 'End');
+    if (start.row === end.row && start.col === end.col) throw new RangeError('Start and End must be different cells');
+
+    if (!Array.isArray(data.waypoints)) throw new TypeError('Scenario waypoints must be a list');
+    const waypoints = data.waypoints.map((w, i) => openCell(w, `Waypoint ${i + 1}`));
+
+    return { region, cells, customTerrains, start, end, waypoints, settings: parseSettings(data.settings) };
+}
+
+function parseTerrainTypes(types) {
+    if (!Array.isArray(types) || types.length > MAX_CUSTOM_TERRAINS) {
+        throw new RangeError(`Scenario may define at most ${MAX_CUSTOM_TERRAINS} custom terrain types`);
+    }
+    const seen = new Set();
+    return types.map(type => {
+        const { code, label, weight, color } = isObject(type) ? type : {};
+        const n = Number(code);
+        if (typeof code !== 'string' || !Number.isInteger(n) || n < 1 || n > MAX_CUSTOM_TERRAINS || seen.has(code)) {
+            throw new RangeError(`Custom terrain code must be a distinct digit 1–${MAX_CUSTOM_TERRAINS}`);
+        }
+        seen.add(code);
+        if (typeof label !== 'string' || !label.trim()) throw new TypeError(`Custom terrain ${code} needs a label`);
+        if (!Number.isFinite(weight) || weight < CUSTOM_WEIGHT_RANGE.min || weight > CUSTOM_WEIGHT_RANGE.max) {
+            throw new RangeError(`Custom terrain "${label}" weight must be between ${CUSTOM_WEIGHT_RANGE.min} and ${CUSTOM_WEIGHT_RANGE.max}`);
+        }
+        if (typeof color !== 'string' || !HEX_COLOR.test(color)) {
+            throw new RangeError(`Custom terrain "${label}" colour must look like #1a2b3c`);
+        }
+        return { key: customTerrainKey(n), label, weight, color };
+    });
+}
+
+function parseRegion(region) {
+    if (!isObject(region)) throw new TypeError('Scenario region is missing');
+    if (region.id !== 'custom') {
+        if (!REGION_PRESETS[region.id]) throw new RangeError(`Unknown region "${region.id}"`);
+        return REGION_PRESETS[region.id];
+    }
+    const { name, bounds, center, zoom } = region;
+    const finite = (...values) => values.every(Number.isFinite);
+    if (typeof name !== 'string' || !isObject(bounds) || !isObject(center)
+        || !finite(bounds.north, bounds.south, bounds.east, bounds.west, center.lat, center.lng, zoom)
+        || bounds.north <= bounds.south || bounds.east <= bounds.west) {
+        throw new RangeError('Scenario custom region has invalid bounds');
+    }
+    return {
+        id: 'custom',
+        name,
+        bounds: { north: bounds.north, south: bounds.south, east: bounds.east, west: bounds.west },
+        center: { lat: center.lat, lng: center.lng },
+        zoom,
+        start: null,
+        end: null,
+    };
+}
+
+function parseSettings(settings) {
+    if (!isObject(settings)) throw new TypeError('Scenario settings are missing');
+    const { algorithm, heuristic, epsilon, movement, diagonalRule, raceMode, optimizeOrder, worldMode, osmTerrain } = settings;
+    // Files saved before the weights table was editable use the defaults
+    const weights = parseWeights(settings.weights ?? DEFAULT_WEIGHTS);
+    // …and files saved before departure times and travel profiles existed take the defaults
+    const departure = settings.departure ?? DEFAULT_DEPARTURE;
+    if (!Number.isFinite(departure) || departure < 0 || departure >= HOURS_PER_DAY) {
+        throw new RangeError(`Departure must be an hour from 0 to ${HOURS_PER_DAY}`);
+    }
+    const travelProfile = settings.travelProfile ?? DEFAULT_PROFILE;
+    if (!TRAVEL_PROFILES[travelProfile]) throw new RangeError(`Unknown travel profile "${travelProfile}"`);
+    if (!ALGORITHMS[algorithm]) throw new RangeError(`Unknown algorithm "${algorithm}"`);
+    if (!HEURISTICS[heuristic]) throw new RangeError(`Unknown heuristic "${heuristic}"`);
+    // Races used to be A* against BFS, with A* on the shared heuristic
+    const racers = parseRacers(settings.racers ?? [{ alg: 'A*', heuristic }, { alg: 'BFS', heuristic }]);
+    if (!Number.isFinite(epsilon) || epsilon < EPSILON_RANGE.min || epsilon > EPSILON_RANGE.max) {
+        throw new RangeError(`Weight ε must be between ${EPSILON_RANGE.min} and ${EPSILON_RANGE.max}`);
+    }
+    if (!MOVEMENT_MODES.includes(movement)) throw new RangeError(`Movement must be ${MOVEMENT_MODES.join(' or ')}-way`);
+    if (!DIAGONAL_RULES[diagonalRule]) throw new RangeError(`Unknown diagonal rule "${diagonalRule}"`);
+    if (!WORLD_MODES.includes(worldMode)) throw new RangeError(`Unknown world mode "${worldMode}"`);
+    for (const [key, value] of Object.entries({ raceMode, optimizeOrder, osmTerrain })) {
+        if (typeof value !== 'boolean') throw new TypeError(`Setting "${key}" must be true or false`);
+    }
+    return {
+        algorithm, heuristic, epsilon, movement, diagonalRule, raceMode, racers, optimizeOrder, worldMode, osmTerrain, weights,
+        departure, travelProfile,
+    };
+}
+
+function parseRacers(racers) {
+    if (!Array.isArray(racers)) throw new TypeError('Race settings must list the racers');
+    if (racers.length < RACER_RANGE.min || racers.length > RACER_RANGE.max) {
+        throw new RangeError(`A race needs ${RACER_RANGE.min} to ${RACER_RANGE.max} racers`);
+    }
+    return racers.map(racer => {
+        if (!isObject(racer)) throw new TypeError('Each racer must be an object');
+        if (!ALGORITHMS[racer.alg]) throw new RangeError(`Unknown racer algorithm "${racer.alg}"`);
+        if (!HEURISTICS[racer.heuristic]) throw new RangeError(`Unknown racer heuristic "${racer.heuristic}"`);
+        return { alg: racer.alg, heuristic: racer.heuristic };
+    });
+}
+
+const isObject = v => typeof v === 'object' && v !== null && !Array.isArray(v);
+
+/** Scenario object → URL hash (deflate-raw, base64url), including the prefix. */
+export async function encodeScenarioHash(scenario) {
+    const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+    const packed = await pipe(bytes, new CompressionStream('deflate-raw'));
+    let binary = '';
+    for (const b of packed) binary += String.fromCharCode(b);
+    return SCENARIO_HASH_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * URL hash → scenario object (still to be checked with parseScenario), or
+ * null when the hash holds no scenario. Throws a TypeError for a damaged link.
+ */
+export async function decodeScenarioHash(hash) {
+    if (!hash.startsWith(SCENARIO_HASH_PREFIX)) return null;
+    try {
+        const binary = atob(hash.slice(SCENARIO_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+        const json = new TextDecoder().decode(await pipe(bytes, new DecompressionStream('deflate-raw')));
+        return JSON.parse(json);
+    } catch {
+        throw new TypeError('The scenario link is damaged or incomplete');
+    }
+}
+
+async function pipe(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
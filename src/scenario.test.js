@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { createScenario, parseScenario, SCENARIO_VERSION } from './scenario';
+import { REGION_PRESETS } from './regions';
+
+const SIZE = 6;
+
+// A valid saved scenario: open roads with one building at (2, 2)
+function validScenario() {
+    const cells = Array.from({ length: SIZE }, (_, row) => Array.from({ length: SIZE }, (_, col) => (
+        row === 2 && col === 2 ? { terrain: 'BUILDING', weight: Infinity } : { terrain: 'ROAD', weight: 1 }
+    )));
+    // JSON round trip, as when the file is read back
+    return JSON.parse(JSON.stringify(createScenario({
+        region: REGION_PRESETS.dharwad,
+        cells,
+        start: { row: 0, col: 0 },
+        end: { row: SIZE - 1, col: SIZE - 1 },
+        waypoints: [],
+        settings: {
+            algorithm: 'A*', heuristic: 'manhattan', epsilon: 1, movement: 4, diagonalRule: 'always',
+            raceMode: false, optimizeOrder: false, worldMode: 'grid', osmTerrain: true,
+        },
+    })));
+}
+
+// validScenario() with `edit` applied
+const broken = edit => {
+    const data = validScenario();
+    edit(data);
+    return data;
+};
+
+describe('parseScenario', () => {
+    it('reads back a scenario it wrote', () => {
+        const { cells, start, end, settings } = parseScenario(validScenario(), SIZE);
+        expect(cells[2][2]).toEqual({ terrain: 'BUILDING', weight: Infinity });
+        expect(cells[0][1]).toEqual({ terrain: 'ROAD', weight: 1 });
+        expect(start).toEqual({ row: 0, col: 0 });
+        expect(end).toEqual({ row: SIZE - 1, col: SIZE - 1 });
+        expect(settings.algorithm).toBe('A*');
+    });
+
+    it.each([
+        ['not an object', () => 'scenario', TypeError, /Not a PathfinderEDU/],
+        ['another format', () => broken(d => { d.format = 'other'; }), TypeError, /Not a PathfinderEDU/],
+        ['a newer version', () => broken(d => { d.version = SCENARIO_VERSION + 1; }), Error, /format version/],
+        ['an unknown region', () => broken(d => { d.region = { id: 'atlantis' }; }), RangeError, /Unknown region/],
+        ['a missing grid', () => broken(d => { delete d.grid; }), TypeError, /missing its terrain/],
+        ['a short row', () => broken(d => { d.grid.terrain[1] = 'RRR'; }), RangeError, /row 1 must have/],
+        ['an unknown terrain code', () => broken(d => { d.grid.terrain[0] = 'RRRRRX'; }), RangeError, /Unknown terrain "X"/],
+        ['a weight below 1', () => broken(d => { d.grid.weights[0][1] = 0.5; }), RangeError, /must be a number ≥ 1/],
+        ['Start outside the grid', () => broken(d => { d.start = { row: SIZE, col: 0 }; }), RangeError, /Start must be a cell/],
+        ['End on a building', () => broken(d => { d.end = { row: 2, col: 2 }; }), RangeError, /End sits on a building/],
+        ['Start on End', () => broken(d => { d.end = d.start; }), RangeError, /must be different cells/],
+        ['an unknown algorithm', () => broken(d => { d.settings.algorithm = 'Teleport'; }), RangeError, /Unknown algorithm/],
+        ['ε out of range', () => broken(d => { d.settings.epsilon = 9; }), RangeError, /Weight ε must be between/],
+        ['a non-boolean toggle', () => broken(d => { d.settings.raceMode = 'yes'; }), TypeError, /"raceMode" must be true or false/],
+    ])('rejects %s', (_, make, ErrorClass, message) => {
+        expect(() => parseScenario(make(), SIZE)).toThrow(ErrorClass);
+        expect(() => parseScenario(make(), SIZE)).toThrow(message);
+    });
+
+    it('rejects a grid of another size', () => {
+        expect(() => parseScenario(validScenario(), SIZE + 1)).toThrow(RangeError);
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * Off-thread Search
+ * Route searches run in ./search.worker against a compact copy of the
+ * world instead of the React grid, whose nodes carry terrain objects and
+ * circular previousNode chains:
+ *   grid  — { kind: 'grid', rows, cols, weights: Float64Array, walls: Uint8Array }
+ *   graph — { kind: 'graph', lat, lng: Float64Array, outgoing, incoming }
+ *           with each adjacency in CSR form { offsets, targets, costs }
+ * Every node is named by one index: row * cols + col on a grid, the node
+ * id on a graph. Results come back the same way — visited order and one
+ * parent array per leg as Int32Arrays (-1 = no parent) — and the UI maps
+ * them onto its own nodes with routeFromParents.
+ */
+import { ALGORITHMS, solveRoute, solveLeg, optimizeStopOrder } from './algorithms';
+import { RoadGraph } from './roadGraph';
+
+export function packGrid(grid) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const weights = new Float64Array(rows * cols);
+    const walls = new Uint8Array(rows * cols);
+    grid.forEach((row, r) => row.forEach((node, c) => {
+        weights[r * cols + c] = node.weight;
+        // A weight of Infinity is terrain the travel profile may not enter
+        walls[r * cols + c] = node.isWall || node.weight === Infinity ? 1 : 0;
+    }));
+    return { kind: 'grid', rows, cols, weights, walls };
+}
+
+function packAdjacency(adjacency) {
+    const offsets = new Int32Array(adjacency.length + 1);
+    adjacency.forEach((edges, id) => { offsets[id + 1] = offsets[id] + edges.length; });
+    const targets = new Int32Array(offsets[adjacency.length]);
+    const costs = new Float64Array(offsets[adjacency.length]);
+    adjacency.forEach((edges, id) => edges.forEach(({ to, cost }, k) => {
+        targets[offsets[id] + k] = to;
+        costs[offsets[id] + k] = cost;
+    }));
+    return { offsets, targets, costs };
+}
+
+export function packGraph(graph) {
+    const { points, outgoing, incoming } = graph.topology;
+    return {
+        kind: 'graph',
+        lat: Float64Array.from(points, p => p.lat),
+        lng: Float64Array.from(points, p => p.lng),
+        outgoing: packAdjacency(outgoing),
+        incoming: packAdjacency(incoming),
+    };
+}
+
+/** Buffers of a packed world, to hand to postMessage as transferables. */
+export function worldBuffers(world) {
+    if (world.kind === 'grid') return [world.weights.buffer, world.walls.buffer];
+    return [world.lat, world.lng, world.outgoing, world.incoming]
+        .flatMap(part => (ArrayBuffer.isView(part) ? [part] : Object.values(part)))
+        .map(array => array.buffer);
+}
+
+const unpackAdjacency = ({ offsets, targets, costs }) => Array.from({ length: offsets.length - 1 }, (_, id) => {
+    const edges = [];
+    for (let k = offsets[id]; k < offsets[id + 1]; k++) edges.push({ to: targets[k], cost: costs[k] });
+    return edges;
+});
+
+/**
+ * Clean-world factory for a packed world, as solveRoute wants it, plus
+ * `nodes(world)` listing a world's nodes by index.
+ */
+function unpackWorld(packed) {
+    if (packed.kind === 'graph') {
+        const graph = new RoadGraph({
+            points: Array.from(packed.lat, (lat, id) => ({ lat, lng: packed.lng[id] })),
+            outgoing: unpackAdjacency(packed.outgoing),
+            incoming: unpackAdjacency(packed.incoming),
+        });
+        return { make: () => graph.fresh(), nodes: world => world.nodes };
+    }
+    const { rows, cols, weights, walls } = packed;
+    const make = () => Array.from({ length: rows }, (_, row) => Array.from({ length: cols }, (_, col) => ({
+        row, col, weight: weights[row * cols + col], isWall: walls[row * cols + col] === 1,
+        distance: Infinity, isVisited: false, previousNode: null, totalCost: Infinity, heuristic: 0,
+    })));
+    return { make, nodes: world => world.flat() };
+}
+
+/**
+ * Runs one "Find Route" / race in the worker.
+ * @param request  { world, stops, algorithms, orderBy, trace, options } —
+ *                 stops are [{ row, col }] or [{ id }] from Start to End;
+ *                 algorithms are ids, or { alg, options } for a run whose
+ *                 options (say, its own heuristic) override the shared ones;
+ *                 with `orderBy` (an algorithm id) the waypoints are first
+ *                 reordered by optimizeStopOrder over that algorithm's leg
+ *                 costs; `trace` records each run's steps for playback
+ * @returns { stops, tour, optimalCost, time, runs: [{ alg, visited, parents, trace, time }] }
+ *          — stops in the order searched, tour null unless reordered,
+ *          optimalCost Dijkstra's cost over the same stops (null if
+ *          unreachable), trace null unless asked for
+ */
+export function solveSearch({ world: packed, stops: given, algorithms, orderBy = null, trace: tracing = false, options }) {
+    const world = unpackWorld(packed);
+    const indexOf = node => (node.id !== undefined ? node.id : node.row * packed.cols + node.col);
+
+    let stops = given;
+    let tour = null;
+    if (orderBy && given.length > 3) {
+        const costs = given.map((from, i) => given.map((to, j) => (
+            i === j ? 0 : solveLeg(ALGORITHMS[orderBy].run, world.make(), from, to, options).cost
+        )));
+        tour = optimizeStopOrder(given.length - 2, (i, j) => costs[i][j]);
+        stops = [given[0], ...tour.order.map(idx => given[idx]), given[given.length - 1]];
+    }
+
+    const reference = solveRoute(ALGORITHMS.Dijkstra.run, world.make, stops, options);
+    const optimalCost = reference.reached ? reference.legs.reduce((sum, leg) => sum + leg.cost, 0) : null;
+
+    const t0 = performance.now();
+    const runs = algorithms.map(entry => {
+        const { alg, options: own } = typeof entry === 'string' ? { alg: entry } : entry;
+        const started = performance.now();
+        // solveRoute builds one world per leg; keep them to read back the parents
+        const legWorlds = [];
+        const make = () => {
+            const legWorld = world.make();
+            legWorlds.push(legWorld);
+            return legWorld;
+        };
+        const trace = tracing ? [] : null;
+        const { visitedNodesInOrder } = solveRoute(ALGORITHMS[alg].run, make, stops, { ...options, ...own, trace });
+        const parents = legWorlds.map(legWorld => Int32Array.from(
+            world.nodes(legWorld), node => (node.previousNode ? indexOf(node.previousNode) : -1),
+        ));
+        return {
+            alg,
+            visited: Int32Array.from(visitedNodesInOrder, indexOf),
+            parents,
+            trace,
+            time: performance.now() - started,
+        };
+    });
+    return { stops, tour, optimalCost, time: Math.round(performance.now() - t0), runs };
+}
+
+/**
+ * Stitched Start → End route from per-leg parent arrays, as the caller's
+ * own nodes (`nodeAt(index)`). Empty when any leg did not reach its stop.
+ */
+export function routeFromParents(parents, stopIndices, nodeAt) {
+    const path = [];
+    for (let leg = 0; leg < stopIndices.length - 1; leg++) {
+        if (leg >= parents.length) return [];
+        const indices = [];
+        for (let i = stopIndices[leg + 1]; i !== -1; i = parents[leg][i]) indices.push(i);
+        indices.reverse();
+        if (indices[0] !== stopIndices[leg]) return [];
+        // Each leg starts where the previous one ended — drop the duplicate joint
+        path.push(...(leg === 0 ? indices : indices.slice(1)).map(nodeAt));
+    }
+    return path;
+}
+
+/**
+ * Starts solveSearch in a fresh worker. Returns { promise, cancel } —
+ * cancel() terminates the worker, and its promise then never settles.
+ */
+export function startSearch(request) {
+    const worker = new Worker(new URL('./search.worker.js', import.meta.url), { type: 'module' });
+    const promise = new Promise((resolve, reject) => {
+        worker.onmessage = ({ data }) => {
+            worker.terminate();
+            if (data.type === 'done') resolve(data.result);
+            else reject(new Error(data.message));
+        };
+        worker.onerror = event => {
+            worker.terminate();
+            reject(new Error(event.message || 'The search worker failed to start'));
+        };
+    });
+    worker.postMessage(request, worldBuffers(request.world));
+    return { promise, cancel: () => worker.terminate() };
+}
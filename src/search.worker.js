@@ -0,0 +1,18 @@
+/**
+ * Search Worker
+ * Runs one ./search request off the main thread. Receives the request and
+ * posts back { type: 'done', result } — or { type: 'error', message }.
+ * Visited orders and parent arrays are transferred, not copied. Cancel by
+ * terminating the worker.
+ */
+import { solveSearch } from './search';
+
+self.onmessage = ({ data }) => {
+    try {
+        const result = solveSearch(data);
+        const buffers = result.runs.flatMap(run => [run.visited.buffer, ...run.parents.map(p => p.buffer)]);
+        self.postMessage({ type: 'done', result }, buffers);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
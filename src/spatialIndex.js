@@ -0,0 +1,114 @@
+/**
+ * Uniform-Grid Spatial Index for line segments
+ * Buckets every segment into the square cells its bounding box overlaps,
+ * so a nearest-segment query only looks at the few buckets around the
+ * query point instead of scanning the whole road network.
+ * Coordinates are plain (x, y) pairs — roadNetwork uses (lat, lng).
+ */
+
+export class SegmentGrid {
+    /**
+     * @param segments  [{ ax, ay, bx, by, ... }] — any extra fields ride along
+     * @param cellSize  bucket edge length, in the same units as the coordinates
+     */
+    constructor(segments, cellSize) {
+        this.cellSize = cellSize;
+        this.segments = segments.map((seg, id) => ({ ...seg, id }));
+        this.buckets = new Map();
+
+        // A loop rather than Math.min(...) — spreading a city's worth of segments overflows the stack
+        this.minX = Infinity;
+        this.minY = Infinity;
+        for (const seg of this.segments) {
+            this.minX = Math.min(this.minX, seg.ax, seg.bx);
+            this.minY = Math.min(this.minY, seg.ay, seg.by);
+        }
+        this.maxCell = 0;
+
+        for (const seg of this.segments) {
+            const x0 = this.cellOf(Math.min(seg.ax, seg.bx), this.minX);
+            const x1 = this.cellOf(Math.max(seg.ax, seg.bx), this.minX);
+            const y0 = this.cellOf(Math.min(seg.ay, seg.by), this.minY);
+            const y1 = this.cellOf(Math.max(seg.ay, seg.by), this.minY);
+            this.maxCell = Math.max(this.maxCell, x1, y1);
+            for (let cx = x0; cx <= x1; cx++) {
+                for (let cy = y0; cy <= y1; cy++) {
+                    const key = this.key(cx, cy);
+                    if (!this.buckets.has(key)) this.buckets.set(key, []);
+                    this.buckets.get(key).push(seg);
+                }
+            }
+        }
+    }
+
+    get size() {
+        return this.segments.length;
+    }
+
+    cellOf(v, min) {
+        return Math.floor((v - min) / this.cellSize);
+    }
+
+    key(cx, cy) {
+        return `${cx},${cy}`;
+    }
+
+    /**
+     * Closest segment to (x, y) that is strictly nearer than `maxDist`.
+     * Equal distances resolve to the segment inserted first, matching a
+     * linear scan. Returns { segment, dist } or null.
+     */
+    nearest(x, y, maxDist = Infinity) {
+        if (this.segments.length === 0) return null;
+        const cx = this.cellOf(x, this.minX);
+        const cy = this.cellOf(y, this.minY);
+        // Beyond this ring every bucket lies outside the indexed area
+        const lastRing = Math.max(Math.abs(cx), Math.abs(cy), Math.abs(this.maxCell - cx), Math.abs(this.maxCell - cy));
+
+        let best = null;
+        let bestDist = maxDist;
+        const seen = new Set();
+
+        for (let r = 0; r <= lastRing; r++) {
+            // The query point sits inside cell (cx, cy), so anything in ring r is at least (r - 1) cells away
+            if ((r - 1) * this.cellSize > bestDist) break;
+            for (const [dx, dy] of ring(r)) {
+                const bucket = this.buckets.get(this.key(cx + dx, cy + dy));
+                if (!bucket) continue;
+                for (const seg of bucket) {
+                    if (seen.has(seg.id)) continue;
+                    seen.add(seg.id);
+                    const d = pointToSegmentDist(x, y, seg.ax, seg.ay, seg.bx, seg.by);
+                    if (d < bestDist || (d === bestDist && best && seg.id < best.id)) {
+                        best = seg;
+                        bestDist = d;
+                    }
+                }
+            }
+        }
+        return best ? { segment: best, dist: bestDist } : null;
+    }
+}
+
+/** Offsets of the cells at Chebyshev distance exactly r from the centre. */
+function* ring(r) {
+    if (r === 0) {
+        yield [0, 0];
+        return;
+    }
+    for (let d = -r; d <= r; d++) {
+        yield [d, -r];
+        yield [d, r];
+    }
+    for (let d = -r + 1; d <= r - 1; d++) {
+        yield [-r, d];
+        yield [r, d];
+    }
+}
+
+export function pointToSegmentDist(px, py, ax, ay, bx, by) {
+    const dx = bx - ax, dy = by - ay;
+    if (dx === 0 && dy === 0) return Math.hypot(px - ax, py - ay);
+    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy)));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
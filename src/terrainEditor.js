@@ -0,0 +1,107 @@
+/**
+ * Terrain Editor
+ * Grid-editing helpers behind the paint toolbar:
+ *   brush  — every cell the pointer crosses while held down
+ *   line   — Bresenham line from the press cell to the release cell
+ *   rect   — filled rectangle spanned by the press and release cells
+ *   eraser — like brush, but restores each cell's original terrain
+ *
+ * Undo/redo keeps terrain layers ([[{ terrain, weight, roadTypes }]]) rather than whole
+ * grids, so stepping back never moves the Start/End markers or wipes a run.
+ */
+
+export const PAINT_TOOLS = ['toggle', 'brush', 'line', 'rect', 'eraser'];
+export const HISTORY_LIMIT = 100;
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// User-defined terrain types are keyed CUSTOM_1 … CUSTOM_9 (one digit in scenario files)
+export const MAX_CUSTOM_TERRAINS = 9;
+export const customTerrainKey = n => `CUSTOM_${n}`;
+export const CUSTOM_WEIGHT_RANGE = { min: 1, max: 10 };
+
+/** Cells on the straight line a → b, both ends included. */
+export function lineCells(a, b) {
+    const cells = [];
+    const dr = Math.abs(b.row - a.row);
+    const dc = Math.abs(b.col - a.col);
+    const sr = a.row < b.row ? 1 : -1;
+    const sc = a.col < b.col ? 1 : -1;
+    let err = dc - dr;
+    let { row, col } = a;
+    for (;;) {
+        cells.push({ row, col });
+        if (row === b.row && col === b.col) return cells;
+        const e2 = 2 * err;
+        if (e2 > -dr) { err -= dr; col += sc; }
+        if (e2 < dc) { err += dc; row += sr; }
+    }
+}
+
+/** Every cell of the rectangle with corners a and b. */
+export function rectCells(a, b) {
+    const cells = [];
+    for (let row = Math.min(a.row, b.row); row <= Math.max(a.row, b.row); row++) {
+        for (let col = Math.min(a.col, b.col); col <= Math.max(a.col, b.col); col++) cells.push({ row, col });
+    }
+    return cells;
+}
+
+/**
+ * Cells an in-progress stroke covers.
+ * @param stroke  { tool, from, to, trail } — trail lists brush/eraser cells in order
+ */
+export function strokeCells({ tool, from, to, trail }) {
+    if (tool === 'line') return lineCells(from, to);
+    if (tool === 'rect') return rectCells(from, to);
+    return trail;
+}
+
+/**
+ * New grid with `cells` repainted. `paint(node)` returns { terrain, weight }
+ * and optionally the cell's roadTypes (see ./terrainWeights; painted cells
+ * default to plain terrain). Start/End cells are never repainted.
+ */
+export function paintCells(grid, cells, paint) {
+    const next = grid.map(row => [...row]);
+    for (const { row, col } of cells) {
+        const node = next[row]?.[col];
+        if (!node || node.isStart || node.isEnd) continue;
+        const { terrain, weight, roadTypes = [] } = paint(node);
+        next[row][col] = { ...node, terrain, weight, roadTypes, isWall: terrain.isWall };
+    }
+    return next;
+}
+
+export const terrainLayer = grid => grid.map(row => row.map(({ terrain, weight, roadTypes }) => ({ terrain, weight, roadTypes })));
+
+/** Puts a saved terrain layer back under the grid's current markers. */
+export const applyLayer = (grid, layer) => paintCells(
+    grid,
+    grid.flat().map(({ row, col }) => ({ row, col })),
+    ({ row, col }) => layer[row][col],
+);
+
+/** Records `grid`'s terrain before an edit; clears the redo stack. */
+export function pushHistory(history, grid) {
+    return { past: [...history.past, terrainLayer(grid)].slice(-HISTORY_LIMIT), future: [] };
+}
+
+/** @returns { grid, history } after stepping back, or null when there is nothing to undo */
+export function undo(history, grid) {
+    if (history.past.length === 0) return null;
+    const layer = history.past[history.past.length - 1];
+    return {
+        grid: applyLayer(grid, layer),
+        history: { past: history.past.slice(0, -1), future: [terrainLayer(grid), ...history.future] },
+    };
+}
+
+/** @returns { grid, history } after stepping forward, or null when there is nothing to redo */
+export function redo(history, grid) {
+    if (history.future.length === 0) return null;
+    const [layer, ...future] = history.future;
+    return {
+        grid: applyLayer(grid, layer),
+        history: { past: [...history.past, terrainLayer(grid)], future },
+    };
+}
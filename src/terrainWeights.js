@@ -0,0 +1,92 @@
+/**
+ * Terrain Weights
+ * The one table of movement costs every weighted search runs on:
+ *   terrain — cost of entering a cell of each passable terrain class
+ *   roads   — cost per OSM highway tag; a cell an OSM road runs through
+ *             takes the cheapest road on it instead of its terrain's cost,
+ *             and street-graph edges cost length × their road's weight
+ * Walls are always impassable and custom painted types carry their own
+ * weight. The Terrain panel edits this table; the grid, the legends and the
+ * Learning Center all read from it.
+ *
+ * Grid nodes remember where their weight came from in `roadTypes` — the OSM
+ * tags under the cell ([] for plain terrain, null for a weight pinned by a
+ * loaded scenario) — so the whole grid can be re-weighted after an edit.
+ */
+
+// Weights stay ≥ 1 so the distance heuristics remain admissible
+export const WEIGHT_RANGE = { min: 1, max: 10, step: 0.5 };
+
+export const DEFAULT_WEIGHTS = {
+    terrain: {
+        HIGHWAY: 1,
+        ROAD: 1,
+        ALLEY: 2.5,
+        PARK: 3,
+    },
+    roads: {
+        motorway: 1,
+        trunk: 1,
+        primary: 1, // College Road, main arteries
+        secondary: 1.5,
+        tertiary: 2,
+        residential: 2.5,
+        service: 3,
+        unclassified: 3,
+        path: 4,
+        footway: 4,
+        default: 2, // any other highway tag
+        offroad: 3, // procedural cell with no road within snapping distance
+    },
+};
+
+export const ROAD_WEIGHT_LABELS = {
+    motorway: 'Motorway',
+    trunk: 'Trunk',
+    primary: 'Primary',
+    secondary: 'Secondary',
+    tertiary: 'Tertiary',
+    residential: 'Residential',
+    service: 'Service',
+    unclassified: 'Unclassified',
+    path: 'Path',
+    footway: 'Footway',
+    default: 'Other roads',
+    offroad: 'No road nearby',
+};
+
+export const roadWeight = (highway, weights) => weights.roads[highway] ?? weights.roads.default;
+
+/** The OSM tag a grid node is priced by under `weights` — its cheapest road — or null off-road. */
+export function cellRoad({ roadTypes }, weights) {
+    if (!roadTypes?.length) return null;
+    return roadTypes.reduce((best, tag) => (roadWeight(tag, weights) < roadWeight(best, weights) ? tag : best));
+}
+
+/** Weight of a grid node under `weights`; see the header for `roadTypes`. */
+export function cellWeight(node, weights) {
+    const { terrain, roadTypes, weight } = node;
+    if (terrain.isWall) return Infinity;
+    if (roadTypes === null) return weight;
+    if (roadTypes.length > 0) return roadWeight(cellRoad(node, weights), weights);
+    return weights.terrain[terrain.key] ?? terrain.weight;
+}
+
+/** Same grid with every node's weight recomputed; untouched nodes are reused. */
+export const reweightGrid = (grid, weights) => grid.map(row => row.map(node => {
+    const weight = cellWeight(node, weights);
+    return weight === node.weight ? node : { ...node, weight };
+}));
+
+/** Weights from an untrusted source (a scenario file); throws RangeError / TypeError. */
+export function parseWeights(data) {
+    if (typeof data !== 'object' || data === null) throw new TypeError('Terrain weights must be an object');
+    const table = (group, defaults) => Object.fromEntries(Object.keys(defaults).map(key => {
+        const value = data[group]?.[key] ?? defaults[key];
+        if (!Number.isFinite(value) || value < WEIGHT_RANGE.min || value > WEIGHT_RANGE.max) {
+            throw new RangeError(`Weight of ${key} must be between ${WEIGHT_RANGE.min} and ${WEIGHT_RANGE.max}`);
+        }
+        return [key, value];
+    }));
+    return { terrain: table('terrain', DEFAULT_WEIGHTS.terrain), roads: table('roads', DEFAULT_WEIGHTS.roads) };
+}
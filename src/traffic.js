@@ -0,0 +1,82 @@
+/**
+ * Time-dependent Traffic
+ * Congestion by hour of day, applied on top of the terrain weights table
+ * (see ./terrainWeights). ./data/traffic-profiles.json holds
+ *   profiles — name → 24 multipliers, one per hour from 00:00
+ *   roads    — OSM highway tag → profile
+ *   terrain  — terrain class → profile (for cells with no OSM road)
+ * Anything not listed flows freely (× 1). Between whole hours the
+ * multiplier is interpolated, so a 08:30 departure sits halfway between
+ * 08:00 and 09:00. Multipliers are ≥ 1, so every weight stays ≥ 1 and the
+ * distance heuristics stay admissible.
+ */
+import rawProfiles from './data/traffic-profiles.json';
+import { DEFAULT_WEIGHTS } from './terrainWeights';
+
+export const HOURS_PER_DAY = 24;
+export const DEPARTURE_STEP = 0.25; // 15 minutes
+export const DEFAULT_DEPARTURE = 14; // 2 PM — between the rush hours
+
+/** Profiles from an untrusted source; throws RangeError / TypeError. */
+export function parseTrafficProfiles(data) {
+    if (typeof data !== 'object' || data === null) throw new TypeError('Traffic profiles must be an object');
+    const profiles = data.profiles ?? {};
+    for (const [name, hours] of Object.entries(profiles)) {
+        if (!Array.isArray(hours) || hours.length !== HOURS_PER_DAY) {
+            throw new TypeError(`Traffic profile "${name}" needs ${HOURS_PER_DAY} hourly multipliers`);
+        }
+        if (!hours.every(m => Number.isFinite(m) && m >= 1)) {
+            throw new RangeError(`Traffic profile "${name}" has a multiplier below 1`);
+        }
+    }
+    const mapping = group => Object.fromEntries(Object.entries(data[group] ?? {}).map(([key, name]) => {
+        if (!profiles[name]) throw new RangeError(`Unknown traffic profile "${name}" for ${key}`);
+        return [key, name];
+    }));
+    return { profiles, roads: mapping('roads'), terrain: mapping('terrain') };
+}
+
+export const TRAFFIC = parseTrafficProfiles(rawProfiles);
+
+/**
+ * Multiplier of one profile at `hour` (0 ≤ hour < 24, fractional allowed);
+ * 1 without a profile. `exposure` is the share of the jam a traveller is
+ * stuck in — 1 for a car, less for whoever can slip past it, 0 on foot.
+ */
+export function congestion(profileName, hour, exposure = 1, traffic = TRAFFIC) {
+    const hours = traffic.profiles[profileName];
+    if (!hours) return 1;
+    const from = Math.floor(hour) % HOURS_PER_DAY;
+    const to = (from + 1) % HOURS_PER_DAY;
+    const t = hour - Math.floor(hour);
+    return 1 + (hours[from] + (hours[to] - hours[from]) * t - 1) * exposure;
+}
+
+// Tags without a row of their own in the weights table travel as `default` (as in roadWeight)
+export const roadCongestion = (highway, hour, exposure = 1, traffic = TRAFFIC) => congestion(
+    highway in DEFAULT_WEIGHTS.roads ? traffic.roads[highway] : traffic.roads.default, hour, exposure, traffic,
+);
+
+export const terrainCongestion = (key, hour, exposure = 1, traffic = TRAFFIC) => congestion(
+    traffic.terrain[key], hour, exposure, traffic,
+);
+
+/**
+ * The weights table as it stands at `hour`: same shape, every road and
+ * terrain weight scaled by its congestion. Feed it wherever the grid or
+ * street graph is weighted; the Terrain panel keeps editing the base table.
+ */
+export const trafficWeights = (weights, hour, exposure = 1, traffic = TRAFFIC) => ({
+    terrain: Object.fromEntries(Object.entries(weights.terrain).map(
+        ([key, w]) => [key, w * terrainCongestion(key, hour, exposure, traffic)],
+    )),
+    roads: Object.fromEntries(Object.entries(weights.roads).map(
+        ([key, w]) => [key, w * roadCongestion(key, hour, exposure, traffic)],
+    )),
+});
+
+/** 8.5 → "08:30" */
+export const formatHour = hour => {
+    const minutes = Math.round(hour * 60) % (HOURS_PER_DAY * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
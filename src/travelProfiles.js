@@ -0,0 +1,96 @@
+/**
+ * Travel Profiles
+ * Who is making the trip. Each profile reshapes the weights table (see
+ * ./terrainWeights) before a search and sets the speeds its ETA is timed at:
+ *   speeds      — km/h on each terrain class; a class without a speed is
+ *                 off limits (cars stay out of parks and off footways)
+ *   costs       — × on the table's weight for each terrain class; an OSM
+ *                 road is charged as the terrain class it rasterizes to,
+ *                 also when its tag travels on the table's `default` row
+ *   closedRoads — OSM highway tags the profile may not use at all
+ *   traffic     — exposure to congestion (see ./traffic): 1 sits in the jam,
+ *                 0 walks past it
+ *   oneway      — whether one-way streets bind it on the street graph
+ * Off-limits cells and roads get weight Infinity, which the searches treat
+ * as a wall. Weights are clamped to ≥ 1 so the heuristics stay admissible.
+ */
+import { roadClass, CLASSED_HIGHWAYS } from './rasterize';
+import { roadWeight } from './terrainWeights';
+import { trafficWeights } from './traffic';
+
+export const TRAVEL_PROFILES = {
+    car: {
+        label: 'Car',
+        color: '#f97316',
+        speeds: { HIGHWAY: 40, ROAD: 30, ALLEY: 12 },
+        costs: {},
+        closedRoads: [],
+        traffic: 1,
+        oneway: true,
+    },
+    twoWheeler: {
+        label: 'Two-wheeler',
+        color: '#a855f7',
+        speeds: { HIGHWAY: 35, ROAD: 30, ALLEY: 18 },
+        costs: { ALLEY: 0.6 },
+        closedRoads: [],
+        traffic: 0.6, // filters between the cars
+        oneway: true,
+    },
+    cycle: {
+        label: 'Cycle',
+        color: '#22c55e',
+        speeds: { HIGHWAY: 16, ROAD: 15, ALLEY: 12, PARK: 10 },
+        costs: { HIGHWAY: 1.2, ALLEY: 0.6, PARK: 0.7 },
+        closedRoads: ['motorway'],
+        traffic: 0.2,
+        oneway: true,
+    },
+    walk: {
+        label: 'Walking',
+        color: '#38bdf8',
+        speeds: { HIGHWAY: 4.5, ROAD: 5, ALLEY: 5, PARK: 4.5 },
+        costs: { HIGHWAY: 1.5, ALLEY: 0.4, PARK: 0.4 },
+        closedRoads: ['motorway', 'trunk'],
+        traffic: 0,
+        oneway: false,
+    },
+};
+
+export const PROFILE_IDS = Object.keys(TRAVEL_PROFILES);
+export const DEFAULT_PROFILE = 'car';
+
+const scaled = (weight, profile, cls) => (
+    cls in profile.speeds ? Math.max(1, weight * (profile.costs[cls] ?? 1)) : Infinity
+);
+
+/**
+ * The weights table as `profile` sees it, off-limits entries Infinity. Tags
+ * that rasterize to a class of their own but ride on `default` in the table
+ * (steps, pedestrian, cycleway, …) get a row, so they are priced by that class.
+ */
+export const profileWeights = (weights, profile) => {
+    const tags = new Set([...Object.keys(weights.roads), ...CLASSED_HIGHWAYS]);
+    return {
+        terrain: Object.fromEntries(Object.entries(weights.terrain).map(([key, w]) => [key, scaled(w, profile, key)])),
+        roads: Object.fromEntries([...tags].map(tag => [
+            tag, profile.closedRoads.includes(tag) ? Infinity : scaled(roadWeight(tag, weights), profile, roadClass(tag)),
+        ])),
+    };
+};
+
+/** Everything a search is weighted with: the table, seen by `profile`, in `hour`'s traffic. */
+export const travelWeights = (weights, hour, profile) => trafficWeights(
+    profileWeights(weights, profile), hour, profile.traffic,
+);
+
+/**
+ * Free-flow km/h of `profile` on a terrain. Custom painted types travel at
+ * road speed divided by their weight; a class the profile may not enter
+ * (reached only through a weight pinned by a scenario) at its slowest speed.
+ */
+export function travelSpeed(profile, terrain) {
+    if (terrain.key in profile.speeds) return profile.speeds[terrain.key];
+    if (terrain.weight !== undefined) return profile.speeds.ROAD / terrain.weight;
+    return Math.min(...Object.values(profile.speeds));
+}
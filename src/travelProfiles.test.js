@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { TRAVEL_PROFILES, profileWeights, travelWeights } from './travelProfiles';
+import { DEFAULT_WEIGHTS, cellWeight } from './terrainWeights';
+
+const FOOT_ONLY = ['footway', 'path', 'steps', 'pedestrian', 'cycleway', 'track'];
+
+// A grid node an OSM road of tag `highway` runs through
+const roadCell = highway => ({ terrain: { key: 'PARK', isWall: false }, roadTypes: [highway], weight: 1 });
+
+describe('profileWeights', () => {
+    it('keeps cars off every footpath-class road, listed in the table or not', () => {
+        const { roads } = profileWeights(DEFAULT_WEIGHTS, TRAVEL_PROFILES.car);
+        for (const tag of FOOT_ONLY) expect(roads[tag], tag).toBe(Infinity);
+        expect(roads.residential).toBe(DEFAULT_WEIGHTS.roads.residential);
+    });
+
+    it('lets walkers use the same roads, priced as parks', () => {
+        const { roads } = profileWeights(DEFAULT_WEIGHTS, TRAVEL_PROFILES.walk);
+        const parkCost = TRAVEL_PROFILES.walk.costs.PARK;
+        expect(roads.steps).toBe(Math.max(1, DEFAULT_WEIGHTS.roads.default * parkCost));
+        expect(roads.footway).toBe(Math.max(1, DEFAULT_WEIGHTS.roads.footway * parkCost));
+    });
+
+    it('closes the profile\'s closed roads', () => {
+        expect(profileWeights(DEFAULT_WEIGHTS, TRAVEL_PROFILES.cycle).roads.motorway).toBe(Infinity);
+        expect(profileWeights(DEFAULT_WEIGHTS, TRAVEL_PROFILES.walk).roads.trunk).toBe(Infinity);
+    });
+});
+
+describe('travelWeights', () => {
+    it('makes a cell with only steps on it a wall for a car at any hour', () => {
+        for (const hour of [3, 8.5, 18]) {
+            expect(cellWeight(roadCell('steps'), travelWeights(DEFAULT_WEIGHTS, hour, TRAVEL_PROFILES.car))).toBe(Infinity);
+        }
+    });
+
+    it('prices a cell by its cheapest road the profile may use', () => {
+        const cell = { ...roadCell('steps'), roadTypes: ['steps', 'residential'] };
+        const weights = travelWeights(DEFAULT_WEIGHTS, 3, TRAVEL_PROFILES.car);
+        expect(cellWeight(cell, weights)).toBe(weights.roads.residential);
+    });
+});